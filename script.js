@@ -1,747 +1,7553 @@
-// Клас TranslationService з автоматичним перемиканням API
-class TranslationService {
-    constructor() {
-        this.services = [
-            {
-                name: 'MyMemory',
-                translator: this.translateMyMemory.bind(this),
-                priority: 0,
-                enabled: true,
-                url: 'https://api.mymemory.translated.net/get'
-            },
-            {
-                name: 'LibreTranslate',
-                translator: this.translateLibreTranslate.bind(this),
-                priority: 1,
-                enabled: true,
-                url: 'https://libretranslate.com/translate'
-            },
-            {
-                name: 'Apertium',
-                translator: this.translateApertium.bind(this),
-                priority: 2,
-                enabled: true,
-                url: 'https://apertium.org/apy/translate'
-            },
-            {
-                name: 'GoogleTranslate',
-                translator: this.translateGoogleAPI.bind(this),
-                priority: 3,
-                enabled: true,
-                url: 'https://translate.googleapis.com'
-            }
-        ];
-        
-        this.failedServices = new Set();
-        this.logs = [];
-        this.maxLogSize = 1000;
+// Обгортка над одним сховищем IndexedDB; без IndexedDB (напр. приватний режим) операції повертають null
+class IndexedDbStore {
+    constructor(dbName, storeName, options = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = options.keyPath || 'id';
+        this.indexes = options.indexes || [];
+        this.dbPromise = null;
     }
 
-    // Логування подій
-    log(level, message, service = null, details = null) {
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            level: level,
-            service: service,
-            message: message,
-            details: details
-        };
+    open() {
+        if (this.dbPromise) return this.dbPromise;
         
-        this.logs.push(logEntry);
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                this.indexes.forEach(index => store.createIndex(index, index));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn(`IndexedDB недоступна (${this.dbName}):`, request.error);
+                resolve(null);
+            };
+        });
         
-        if (this.logs.length > this.maxLogSize) {
-            this.logs.shift();
-        }
+        return this.dbPromise;
+    }
+
+    async run(mode, callback) {
+        const db = await this.open();
+        if (!db) return null;
         
-        // Оновлення UI
-        this.updateLogsUI(logEntry);
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const result = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            // Перевищення квоти перериває транзакцію
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
-    updateLogsUI(logEntry) {
-        if (typeof window !== 'undefined' && window.updateTranslationLogs) {
-            window.updateTranslationLogs(logEntry);
-        }
+    get(key) {
+        return this.run('readonly', store => store.get(key));
     }
 
-    // Основний метод перекладу
-    async translateText(text, sourceLang, targetLang) {
-        if (!text.trim()) {
-            this.log('WARN', 'Спроба перекладу пустого тексту');
-            return { success: false, text: '' };
-        }
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
 
-        this.log('INFO', `Початок перекладу: "${text.substring(0, 50)}..."`, null, {
-            sourceLang: sourceLang,
-            targetLang: targetLang,
-            textLength: text.length
+    getAllByIndex(indexName, value) {
+        return this.run('readonly', store => store.index(indexName).getAll(value));
+    }
+
+    countByIndex(indexName, value) {
+        return this.run('readonly', store => store.index(indexName).count(value));
+    }
+
+    // Видалення всіх записів із заданим значенням індексу
+    deleteByIndex(indexName, value) {
+        return this.run('readwrite', store => {
+            const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(value));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
         });
+    }
 
-        const availableServices = this.services
-            .filter(service => service.enabled && !this.failedServices.has(service.name))
-            .sort((a, b) => a.priority - b.priority);
+    put(value) {
+        return this.run('readwrite', store => store.put(value));
+    }
 
-        this.log('INFO', `Доступні сервіси: ${availableServices.map(s => s.name).join(', ')}`, null, {
-            total: availableServices.length,
-            failed: Array.from(this.failedServices)
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+}
+
+// Дворівневий кеш перекладів: LRU у пам'яті + IndexedDB, що переживає перезавантаження
+class TranslationCache {
+    constructor(options = {}) {
+        this.maxMemoryEntries = options.maxMemoryEntries || 200;
+        this.maxStoredEntries = options.maxStoredEntries || 2000;
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000; // 7 днів
+        this.db = new IndexedDbStore(options.dbName || 'voiceInputTranslationCache', 'translations', {
+            keyPath: 'key',
+            indexes: ['createdAt']
         });
+        this.memory = new Map();
+    }
 
-        if (availableServices.length === 0) {
-            this.log('ERROR', 'Немає доступних сервісів перекладу');
-            return this.useBackupTranslation(text);
+    // Ключ кешу: нормалізований текст + мовна пара
+    makeKey(text, sourceLang, targetLang) {
+        const normalized = text.trim().replace(/\s+/g, ' ');
+        return `${sourceLang}|${targetLang}|${normalized}`;
+    }
+
+    isExpired(record) {
+        return Date.now() - record.createdAt > this.ttl;
+    }
+
+    rememberInMemory(record) {
+        this.memory.delete(record.key);
+        this.memory.set(record.key, record);
+        
+        // Витісняємо найдавніше використаний запис
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
         }
+    }
 
-        for (const service of availableServices) {
-            try {
-                this.log('INFO', `Спроба перекладу через ${service.name}`, service.name);
-                
-                const startTime = Date.now();
-                const result = await service.translator(text, sourceLang, targetLang);
-                const duration = Date.now() - startTime;
-                
-                if (result.success) {
-                    this.log('SUCCESS', `Переклад успішний через ${service.name}`, service.name, {
-                        duration: `${duration}ms`,
-                        textLength: result.text.length
-                    });
-                    
-                    // Якщо успішно, скидаємо помилковий статус для цього сервісу
-                    this.failedServices.delete(service.name);
-                    return result;
-                }
-                
-            } catch (error) {
-                this.log('ERROR', `Помилка перекладу через ${service.name}`, service.name, {
-                    error: error.message
-                });
-                
-                // Якщо це помилка 429 (ліміт), додаємо сервіс до невдалих
-                if (error.message.includes('429') || error.message.includes('limit')) {
-                    this.failedServices.add(service.name);
-                    this.log('WARN', `Ліміт сервісу ${service.name} перевищено`, service.name);
-                }
-                
-                continue;
+    async get(key) {
+        const memoryRecord = this.memory.get(key);
+        if (memoryRecord) {
+            if (this.isExpired(memoryRecord)) {
+                this.memory.delete(key);
+            } else {
+                this.rememberInMemory(memoryRecord);
+                return Object.assign({ tier: 'memory' }, memoryRecord);
             }
         }
         
-        this.log('ERROR', 'Усі сервіси перекладу не спрацювали', null, {
-            failedServices: Array.from(this.failedServices)
-        });
-        
-        // Використовуємо резервний переклад
-        return this.useBackupTranslation(text);
-    }
-
-    // MyMemory API
-    async translateMyMemory(text, sourceLang, targetLang) {
         try {
-            const response = await fetch(
-                `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`
-            );
-            
-            if (response.status === 429) {
-                throw new Error('429 - Rate limit exceeded');
-            }
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
+            const record = await this.db.get(key);
+            if (!record) return null;
             
-            const data = await response.json();
-            
-            if (data.responseStatus === 200) {
-                return {
-                    success: true,
-                    text: data.responseData.translatedText,
-                    service: 'MyMemory'
-                };
-            } else {
-                throw new Error(`API error: ${data.responseStatus}`);
+            if (this.isExpired(record)) {
+                await this.db.delete(key);
+                return null;
             }
             
+            this.rememberInMemory(record);
+            return Object.assign({ tier: 'indexedDB' }, record);
         } catch (error) {
-            throw new Error(`MyMemory failed: ${error.message}`);
+            console.warn('Помилка читання кешу перекладів:', error);
+            return null;
         }
     }
 
-    // LibreTranslate API
-    async translateLibreTranslate(text, sourceLang, targetLang) {
+    async set(key, text, service) {
+        const record = { key, text, service, createdAt: Date.now() };
+        this.rememberInMemory(record);
+        
         try {
-            // LibreTranslate використовує скорочення мов
-            const langMap = { 'en': 'en', 'uk': 'uk' };
-            const source = langMap[sourceLang] || sourceLang;
-            const target = langMap[targetLang] || targetLang;
-            
-            const response = await fetch('https://libretranslate.com/translate', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    q: text,
-                    source: source,
-                    target: target,
-                    format: 'text'
-                })
-            });
-            
-            if (response.status === 429) {
-                throw new Error('429 - Rate limit exceeded');
-            }
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.translatedText) {
-                return {
-                    success: true,
-                    text: data.translatedText,
-                    service: 'LibreTranslate'
-                };
-            } else {
-                throw new Error('No translation received');
-            }
-            
+            await this.db.put(record);
+            await this.prune();
         } catch (error) {
-            throw new Error(`LibreTranslate failed: ${error.message}`);
+            console.warn('Помилка запису кешу перекладів:', error);
         }
     }
 
-    // Apertium API
-    async translateApertium(text, sourceLang, targetLang) {
+    // Видаляємо найстаріші записи понад ліміт
+    async prune() {
+        const count = await this.db.count();
+        if (!count || count <= this.maxStoredEntries) return;
+        
+        let excess = count - this.maxStoredEntries;
+        await this.db.run('readwrite', store => {
+            store.index('createdAt').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    async clear() {
+        this.memory.clear();
         try {
-            const langPair = `${sourceLang}|${targetLang}`;
-            const response = await fetch(
-                `https://apertium.org/apy/translate?q=${encodeURIComponent(text)}&langpair=${langPair}`
-            );
-            
-            if (response.status === 429) {
-                throw new Error('429 - Rate limit exceeded');
-            }
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.responseData && data.responseData.translatedText) {
-                return {
-                    success: true,
-                    text: data.responseData.translatedText,
-                    service: 'Apertium'
-                };
-            } else {
-                throw new Error('No translation received');
-            }
-            
+            await this.db.clear();
         } catch (error) {
-            throw new Error(`Apertium failed: ${error.message}`);
+            console.warn('Помилка очищення кешу перекладів:', error);
         }
     }
 
-    // Google Translate API (неофіційний метод)
-    async translateGoogleAPI(text, sourceLang, targetLang) {
+    async size() {
         try {
-            const response = await fetch(
-                `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=${targetLang}&dt=t&q=${encodeURIComponent(text)}`
-            );
-            
-            if (response.status === 429) {
-                throw new Error('429 - Rate limit exceeded');
-            }
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data && data[0] && data[0][0] && data[0][0][0]) {
-                return {
-                    success: true,
-                    text: data[0][0][0],
-                    service: 'GoogleTranslate'
-                };
-            } else {
-                throw new Error('No translation received');
-            }
-            
+            const stored = await this.db.count();
+            return stored === null ? this.memory.size : stored;
         } catch (error) {
-            throw new Error(`GoogleTranslate failed: ${error.message}`);
+            return this.memory.size;
         }
     }
+}
 
-    // Резервний переклад
-    useBackupTranslation(text) {
-        this.log('WARN', 'Використання резервного перекладу', 'Backup');
+// Спільні запити до сторонніх сервісів: тайм-аут, скасування і помилки HTTP з Retry-After
+class HttpClient {
+    // Тайм-аут діє до отримання заголовків; зовнішній signal скасовує і запит, і читання тіла відповіді
+    static async fetchWithTimeout(url, init = {}, signal = null, timeout = 8000) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Запит скасовано', 'AbortError');
+        }
         
-        const backupDict = {
-            'hello': 'привіт', 'world': 'світ', 'how': 'як', 'are': 'є', 'you': 'ти',
-            'what': 'що', 'where': 'де', 'when': 'коли', 'why': 'чому', 'who': 'хто',
-            'which': 'який', 'good': 'добре', 'morning': 'ранок', 'afternoon': 'день',
-            'evening': 'вечір', 'night': 'ніч', 'thank': 'дякую', 'please': 'будь ласка',
-            'yes': 'так', 'no': 'ні', 'sorry': 'вибачте', 'help': 'допомога',
-            'name': 'ім\'я', 'my': 'мій', 'is': 'є', 'your': 'твій', 'his': 'його',
-            'her': 'її', 'our': 'наш', 'their': 'їхній', 'and': 'і', 'but': 'але',
-            'or': 'або', 'because': 'тому що', 'if': 'якщо', 'then': 'тоді',
-            'very': 'дуже', 'too': 'теж', 'also': 'також', 'only': 'тільки'
-        };
+        const controller = new AbortController();
+        let timedOut = false;
+        const onAbort = () => controller.abort();
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
         
-        let translated = text;
-        Object.keys(backupDict).forEach(word => {
-            const regex = new RegExp(`\\b${word}\\b`, 'gi');
-            translated = translated.replace(regex, backupDict[word]);
-        });
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
         
-        return {
-            success: true,
-            text: '[Резервний переклад] ' + translated,
-            service: 'BackupDictionary'
-        };
+        try {
+            return await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+        } catch (error) {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            // Тайм-аут — збій сервісу, а не скасування користувачем
+            if (timedOut && !(signal && signal.aborted)) {
+                throw HttpClient.createTimeoutError(`Timeout after ${timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    // Додаткові методи
-    resetFailedServices() {
-        this.failedServices.clear();
-        this.log('INFO', 'Скинуто список невдалих сервісів');
+    static createTimeoutError(message) {
+        const error = new Error(message);
+        error.name = 'TimeoutError';
+        return error;
     }
 
-    getServiceStatus() {
-        return this.services.map(service => ({
-            name: service.name,
-            enabled: service.enabled,
-            failed: this.failedServices.has(service.name),
-            priority: service.priority
-        }));
+    // Помилка HTTP зі статусом і затримкою з заголовка Retry-After (в мс): секунди або HTTP-дата
+    static createHttpError(response) {
+        const message = response.status === 429 ? '429 - Rate limit exceeded' : `HTTP error: ${response.status}`;
+        const error = new Error(message);
+        error.status = response.status;
+        
+        const retryAfter = response.headers && response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (delay > 0) error.retryAfter = delay;
+        }
+        
+        return error;
     }
 }
 
-// Елементи DOM
-const elements = {
-    englishText: document.getElementById('englishText'),
-    ukrainianText: document.getElementById('ukrainianText'),
-    micButton: document.getElementById('micButton'),
-    copyEnglish: document.getElementById('copyEnglish'),
-    copyUkrainian: document.getElementById('copyUkrainian'),
-    clearText: document.getElementById('clearText'),
-    recordingIndicator: document.getElementById('recordingIndicator'),
-    questionIndicator: document.getElementById('questionIndicator'),
-    answersContainer: document.getElementById('answersContainer'),
-    apiKeyInput: document.getElementById('apiKeyInput'),
-    saveApiKey: document.getElementById('saveApiKey'),
-    notification: document.getElementById('notification'),
-    translationStatus: document.getElementById('translationStatus'),
-    togglePassword: document.getElementById('togglePassword'),
-    voiceLogContainer: document.getElementById('voiceLogContainer'),
-    clearVoiceLog: document.getElementById('clearVoiceLog'),
-    translationLogContainer: document.getElementById('translationLogContainer'),
-    clearTranslationLog: document.getElementById('clearTranslationLog')
-};
+// Автоматичний вимикач для одного сервісу: closed → open → half-open → closed
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.baseCooldown = options.baseCooldown || 30 * 1000;
+        this.maxCooldown = options.maxCooldown || 10 * 60 * 1000;
+        this.onStateChange = options.onStateChange || null;
+        this.reset();
+    }
 
-// Змінні стану
-let recognition = null;
-let isRecording = false;
-let deepSeekApiKey = localStorage.getItem('deepSeekApiKey') || '';
-let sourceLanguage = 'en';
-let targetLanguage = 'uk';
-// Load voice log and ensure entries have a translation field for backward compatibility
-let voiceLog = JSON.parse(localStorage.getItem('voiceLog')) || [];
-voiceLog = voiceLog.map(entry => {
-    // If old entries were stored as plain strings or missing translation, normalize
-    if (typeof entry === 'string') {
-        return { text: entry, translation: '', timestamp: new Date().toLocaleTimeString() };
-    }
-    return Object.assign({ translation: '' }, entry);
-});
+    reset() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openCount = 0;
+        this.openUntil = 0;
+        this.probeInFlight = false;
+        this.lastError = null;
+    }
 
-// Ініціалізація TranslationService
-const translationService = new TranslationService();
+    setState(state, details = null) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(this, previous, details);
+    }
 
-// Глобальна функція для оновлення UI логів
-window.updateTranslationLogs = function(logEntry) {
-    if (!elements.translationLogContainer) return;
-    
-    const logElement = document.createElement('div');
-    logElement.className = 'log-entry';
-    
-    const levelClass = `log-level log-level-${logEntry.level.toLowerCase()}`;
-    const time = new Date(logEntry.timestamp).toLocaleTimeString();
-    
-    logElement.innerHTML = `
-        <span class="log-time">[${time}]</span>
-        <span class="${levelClass}">${logEntry.level}</span>
-        <span class="log-service">${logEntry.service || 'SYSTEM'}</span>
-        <span class="log-message">${logEntry.message}</span>
-    `;
-    
-    // Видаляємо повідомлення про порожній журнал
-    if (elements.translationLogContainer.children.length === 1 && 
-        elements.translationLogContainer.children[0].textContent.includes('порожній')) {
-        elements.translationLogContainer.innerHTML = '';
+    // Чи можна спробувати сервіс (без зміни стану)
+    isAvailable(now = Date.now()) {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open') return now >= this.openUntil;
+        return !this.probeInFlight;
     }
-    
-    elements.translationLogContainer.appendChild(logElement);
-    elements.translationLogContainer.scrollTop = elements.translationLogContainer.scrollHeight;
-};
 
-// Безпечне додавання обробників подій
-function safeAddEventListener(element, event, handler) {
-    if (element && typeof handler === 'function') {
-        element.addEventListener(event, handler);
+    // Резервує спробу; для відкритого вимикача після охолодження — пробний запит
+    acquire(now = Date.now()) {
+        if (!this.isAvailable(now)) return false;
+        if (this.state !== 'closed') {
+            this.setState('half-open');
+            this.probeInFlight = true;
+        }
+        return true;
     }
-}
 
-// Ініціалізація
-function init() {
-    console.log('Ініціалізація додатку...');
-    
-    // Перевірка підтримки Web Speech API
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        alert('Ваш браузер не підтримує розпізнавання мовлення. Спробуйте використати Chrome або Edge.');
-        if (elements.micButton) elements.micButton.disabled = true;
-        return;
+    // Скасована спроба не рахується ні успіхом, ні помилкою
+    release() {
+        this.probeInFlight = false;
     }
-    
-    // Ініціалізація розпізнавання мовлення
-    try {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        recognition = new SpeechRecognition();
-        recognition.continuous = true;
-        recognition.interimResults = true;
-        recognition.lang = 'en-US';
-        
-        // Обробники подій розпізнавання
-        recognition.onstart = function() {
-            isRecording = true;
-            if (elements.micButton) {
-                elements.micButton.innerHTML = '<i class="material-icons">stop</i> Зупинити запис';
-                elements.micButton.classList.add('recording');
-            }
-            if (elements.recordingIndicator) elements.recordingIndicator.classList.add('active');
-        };
-        
-        recognition.onend = function() {
-            isRecording = false;
-            if (elements.micButton) {
-                elements.micButton.innerHTML = '<i class="material-icons">mic</i> Голосовий ввід';
-                elements.micButton.classList.remove('recording');
-            }
-            if (elements.recordingIndicator) elements.recordingIndicator.classList.remove('active');
-        };
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openCount = 0;
+        this.openUntil = 0;
+        this.probeInFlight = false;
+        this.lastError = null;
+        this.setState('closed');
+    }
+
+    recordFailure(error, now = Date.now()) {
+        this.failures++;
+        this.probeInFlight = false;
+        this.lastError = error.message;
         
-        recognition.onresult = function(event) {
-            let interimTranscript = '';
-            let finalTranscript = '';
-            
-            for (let i = event.resultIndex; i < event.results.length; i++) {
-                const transcript = event.results[i][0].transcript;
-                if (event.results[i].isFinal) {
-                    finalTranscript += transcript;
+        const rateLimited = error.status === 429;
+        if (this.state === 'half-open' || rateLimited || this.failures >= this.failureThreshold) {
+            this.open(error, now);
+        }
+    }
+
+    // Експоненційне охолодження, але не менше за Retry-After від сервера
+    open(error, now) {
+        this.openCount++;
+        const backoff = Math.min(this.baseCooldown * Math.pow(2, this.openCount - 1), this.maxCooldown);
+        const cooldown = Math.max(backoff, error.retryAfter || 0);
+        this.openUntil = now + cooldown;
+        this.setState('open', { cooldown, retryAfter: error.retryAfter || null, failures: this.failures });
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openUntil: this.state === 'closed' ? null : new Date(this.openUntil).toISOString(),
+            lastError: this.lastError
+        };
+    }
+}
+
+// Вбудована фразова таблиця en → uk для офлайн-перекладу (зворотний напрямок будується автоматично)
+const BUILTIN_OFFLINE_DICTIONARY = {
+    name: 'Базовий словник EN-UK',
+    source: 'en',
+    target: 'uk',
+    entries: [
+        ['how are you', 'як справи'], ['how are you doing', 'як у тебе справи'], ['i am fine', 'у мене все добре'],
+        ['thank you', 'дякую'], ['thank you very much', 'щиро дякую'], ['thanks', 'дякую'],
+        ['you are welcome', 'будь ласка'], ['good morning', 'доброго ранку'], ['good afternoon', 'добрий день'],
+        ['good evening', 'добрий вечір'], ['good night', 'на добраніч'], ['good bye', 'до побачення'],
+        ['goodbye', 'до побачення'], ['see you later', 'побачимось пізніше'], ['see you tomorrow', 'до завтра'],
+        ['excuse me', 'перепрошую'], ['i am sorry', 'мені шкода'], ['no problem', 'без проблем'],
+        ['of course', 'звичайно'], ['i think', 'я думаю'], ['i do not know', 'я не знаю'], ["i don't know", 'я не знаю'],
+        ['i agree', 'я згоден'], ['i disagree', 'я не згоден'], ['let me', 'дозвольте мені'], ["let's", 'давайте'],
+        ['can you', 'чи можете ви'], ['could you', 'чи могли б ви'], ['would you', 'чи не могли б ви'],
+        ['do you', 'чи ви'], ['are you', 'чи ви'], ['is it', 'чи це'], ['is there', 'чи є'], ['are there', 'чи є'],
+        ['what is', 'що таке'], ['what time is it', 'котра година'], ['how much', 'скільки'], ['how many', 'скільки'],
+        ['how long', 'як довго'], ['what do you think', 'що ви думаєте'], ['in my opinion', 'на мою думку'],
+        ['for example', 'наприклад'], ['as soon as possible', 'якомога швидше'], ['at the moment', 'зараз'],
+        ['right now', 'прямо зараз'], ['next week', 'наступного тижня'], ['last week', 'минулого тижня'],
+        ['this week', 'цього тижня'], ['next month', 'наступного місяця'], ['a lot of', 'багато'],
+        ['hello', 'привіт'], ['hi', 'привіт'], ['world', 'світ'], ['yes', 'так'], ['no', 'ні'], ['not', 'не'],
+        ['please', 'будь ласка'], ['sorry', 'вибачте'], ['help', 'допомога'], ['name', "ім'я"],
+        ['i', 'я'], ['you', 'ви'], ['he', 'він'], ['she', 'вона'], ['it', 'це'], ['we', 'ми'], ['they', 'вони'],
+        ['me', 'мене'], ['us', 'нас'], ['them', 'їх'], ['my', 'мій'], ['your', 'ваш'], ['his', 'його'],
+        ['her', 'її'], ['our', 'наш'], ['their', 'їхній'], ['this', 'це'], ['that', 'той'], ['these', 'ці'],
+        ['those', 'ті'], ['here', 'тут'], ['there', 'там'], ['what', 'що'], ['where', 'де'], ['when', 'коли'],
+        ['why', 'чому'], ['who', 'хто'], ['which', 'який'], ['how', 'як'], ['and', 'і'], ['but', 'але'],
+        ['or', 'або'], ['because', 'тому що'], ['if', 'якщо'], ['then', 'тоді'], ['so', 'тож'], ['with', 'з'],
+        ['without', 'без'], ['for', 'для'], ['from', 'від'], ['to', 'до'], ['in', 'в'], ['on', 'на'], ['at', 'біля'],
+        ['about', 'про'], ['after', 'після'], ['before', 'перед'], ['very', 'дуже'], ['too', 'теж'],
+        ['also', 'також'], ['only', 'тільки'], ['again', 'знову'], ['now', 'зараз'], ['today', 'сьогодні'],
+        ['tomorrow', 'завтра'], ['yesterday', 'вчора'], ['always', 'завжди'], ['never', 'ніколи'],
+        ['sometimes', 'іноді'], ['maybe', 'можливо'], ['good', 'добре'], ['bad', 'погано'], ['new', 'новий'],
+        ['old', 'старий'], ['big', 'великий'], ['small', 'малий'], ['important', 'важливий'], ['ready', 'готовий'],
+        ['morning', 'ранок'], ['afternoon', 'день'], ['evening', 'вечір'], ['night', 'ніч'], ['day', 'день'],
+        ['week', 'тиждень'], ['month', 'місяць'], ['year', 'рік'], ['time', 'час'], ['hour', 'година'],
+        ['minute', 'хвилина'], ['meeting', 'зустріч'], ['call', 'дзвінок'], ['question', 'питання'],
+        ['answer', 'відповідь'], ['problem', 'проблема'], ['task', 'завдання'], ['project', 'проєкт'],
+        ['team', 'команда'], ['work', 'робота'], ['people', 'люди'], ['person', 'людина'], ['friend', 'друг'],
+        ['colleague', 'колега'], ['company', 'компанія'], ['client', 'клієнт'], ['plan', 'план'],
+        ['idea', 'ідея'], ['report', 'звіт'], ['document', 'документ'], ['email', 'лист'], ['message', 'повідомлення'],
+        ['price', 'ціна'], ['money', 'гроші'], ['number', 'номер'], ['list', 'список'], ['thing', 'річ'],
+        ['is', 'є'], ['are', 'є'], ['am', 'є'], ['was', 'був'], ['were', 'були'], ['be', 'бути'], ['have', 'мати'],
+        ['has', 'має'], ['do', 'робити'], ['can', 'можу'], ['will', 'буде'], ['want', 'хочу'], ['need', 'потрібно'],
+        ['know', 'знати'], ['think', 'думати'], ['see', 'бачити'], ['say', 'сказати'], ['tell', 'розповісти'],
+        ['ask', 'запитати'], ['go', 'йти'], ['come', 'приходити'], ['make', 'робити'], ['take', 'взяти'],
+        ['give', 'дати'], ['send', 'надіслати'], ['start', 'почати'], ['finish', 'закінчити'], ['check', 'перевірити'],
+        ['understand', 'розуміти'], ['agree', 'погоджуватися'], ['discuss', 'обговорити'], ['meet', 'зустрітися'],
+        ['speak', 'говорити'], ['listen', 'слухати'], ['write', 'писати'], ['read', 'читати'], ['wait', 'чекати'],
+        ['one', 'один'], ['two', 'два'], ['three', 'три'], ['four', 'чотири'], ['five', "п'ять"],
+        ['first', 'перший'], ['second', 'другий'], ['last', 'останній'], ['next', 'наступний'],
+        ['the', ''], ['a', ''], ['an', '']
+    ]
+};
+
+// Українські закінчення для спрощеного стемінгу (від довших до коротших)
+const UKRAINIAN_ENDINGS = [
+    'ами', 'ями', 'ові', 'еві', 'єві', 'ого', 'ому', 'ими', 'іми', 'ій', 'ий', 'ої', 'ою', 'ею', 'єю',
+    'ах', 'ях', 'ам', 'ям', 'ом', 'ем', 'єм', 'ів', 'їв', 'ей', 'им', 'ім', 'их', 'іх',
+    'а', 'я', 'у', 'ю', 'і', 'и', 'е', 'є', 'о', 'ь'
+];
+
+// Офлайн-перекладач на основі фразових таблиць: найдовший збіг фрази, проста морфологія,
+// збереження регістру й пунктуації, позначення невідомих слів
+class OfflineDictionary {
+    constructor() {
+        this.db = new IndexedDbStore('voiceInputOfflineDictionary', 'dictionaries');
+        this.dictionaries = [BUILTIN_OFFLINE_DICTIONARY];
+        this.userEntries = [];
+        this.tables = new Map();
+        this.maxPhraseWords = 6;
+    }
+
+    // Завантаження збережених словників і записів користувача з IndexedDB
+    async load() {
+        try {
+            const records = (await this.db.getAll()) || [];
+            records.forEach(record => {
+                if (record.id === 'user') {
+                    this.userEntries = record.entries || [];
                 } else {
-                    interimTranscript += transcript;
+                    this.dictionaries.push(record);
                 }
+            });
+            this.tables.clear();
+        } catch (error) {
+            console.warn('Помилка завантаження офлайн-словників:', error);
+        }
+    }
+
+    // Формат JSON: { name, source, target, entries: [{ source, target }] або [[source, target]] };
+    // також приймаються рядки «source<TAB>target» для заданої мовної пари
+    parseDictionary(content, fileName, sourceLang, targetLang) {
+        const trimmed = content.trim();
+        let dictionary;
+        
+        if (trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            dictionary = {
+                name: data.name || fileName,
+                source: data.source || sourceLang,
+                target: data.target || targetLang,
+                entries: (data.entries || []).map(entry =>
+                    Array.isArray(entry) ? entry : [entry.source, entry.target])
+            };
+        } else {
+            dictionary = {
+                name: fileName,
+                source: sourceLang,
+                target: targetLang,
+                entries: trimmed.split(/\r?\n/)
+                    .filter(line => line.trim() && !line.startsWith('#'))
+                    .map(line => line.split('\t'))
+            };
+        }
+        
+        dictionary.entries = dictionary.entries.filter(entry =>
+            entry.length >= 2 && typeof entry[0] === 'string' && entry[0].trim() && typeof entry[1] === 'string');
+        
+        if (!dictionary.entries.length) {
+            throw new Error('Словник не містить жодного запису');
+        }
+        return dictionary;
+    }
+
+    async addDictionary(dictionary) {
+        const record = Object.assign({ id: `dict-${Date.now()}` }, dictionary);
+        this.dictionaries.push(record);
+        this.tables.clear();
+        await this.db.put(record);
+        return record;
+    }
+
+    async removeDictionary(id) {
+        this.dictionaries = this.dictionaries.filter(dictionary => dictionary.id !== id);
+        this.tables.clear();
+        await this.db.delete(id);
+    }
+
+    async addUserEntry(source, target, sourceLang, targetLang) {
+        this.userEntries = this.userEntries.filter(entry =>
+            !(entry.source.toLowerCase() === source.toLowerCase() && entry.sourceLang === sourceLang && entry.targetLang === targetLang));
+        this.userEntries.push({ source, target, sourceLang, targetLang });
+        await this.saveUserEntries();
+    }
+
+    async removeUserEntry(index) {
+        this.userEntries.splice(index, 1);
+        await this.saveUserEntries();
+    }
+
+    async saveUserEntries() {
+        this.tables.clear();
+        await this.db.put({ id: 'user', entries: this.userEntries });
+    }
+
+    getDictionaries() {
+        return this.dictionaries.map(dictionary => ({
+            id: dictionary.id || null,
+            name: dictionary.name,
+            source: dictionary.source,
+            target: dictionary.target,
+            size: dictionary.entries.length,
+            builtIn: dictionary === BUILTIN_OFFLINE_DICTIONARY
+        }));
+    }
+
+    normalizePhrase(phrase) {
+        return phrase.toLowerCase().replace(/’/g, "'").replace(/\s+/g, ' ').trim();
+    }
+
+    stemUkrainian(word) {
+        for (const ending of UKRAINIAN_ENDINGS) {
+            if (word.endsWith(ending) && word.length - ending.length >= 3) {
+                return word.slice(0, -ending.length);
+            }
+        }
+        return word;
+    }
+
+    // Таблиця для мовної пари: прямі словники, потім зворотні, записи користувача мають пріоритет
+    getTable(sourceLang, targetLang) {
+        const key = `${sourceLang}|${targetLang}`;
+        if (this.tables.has(key)) return this.tables.get(key);
+        
+        const table = { phrases: new Map(), stems: new Map() };
+        const add = (source, target) => {
+            const phrase = this.normalizePhrase(source);
+            if (!phrase) return;
+            table.phrases.set(phrase, target.trim());
+            if (sourceLang === 'uk' && !phrase.includes(' ')) {
+                table.stems.set(this.stemUkrainian(phrase), target.trim());
+            }
+        };
+        
+        this.dictionaries
+            .filter(dictionary => dictionary.source === targetLang && dictionary.target === sourceLang)
+            .forEach(dictionary => dictionary.entries.forEach(([source, target]) => {
+                if (target && !table.phrases.has(this.normalizePhrase(target))) add(target, source);
+            }));
+        this.dictionaries
+            .filter(dictionary => dictionary.source === sourceLang && dictionary.target === targetLang)
+            .forEach(dictionary => dictionary.entries.forEach(([source, target]) => add(source, target)));
+        this.userEntries
+            .filter(entry => entry.sourceLang === sourceLang && entry.targetLang === targetLang)
+            .forEach(entry => add(entry.source, entry.target));
+        
+        this.tables.set(key, table);
+        return table;
+    }
+
+    // Слова (з апострофами й дефісами), числа, пробіли та пунктуація як окремі токени
+    // Плейсхолдери прихованих даних ([EMAIL_1]) — окремі токени, які переносяться без перекладу
+    tokenize(text) {
+        return text.match(/\[[A-Z]+_\d+\]|[\p{L}\p{M}'’-]+|\d+(?:[.,]\d+)*|\s+|[^\p{L}\p{M}\d\s]+/gu) || [];
+    }
+
+    isWord(token) {
+        return /\p{L}/u.test(token) && token[0] !== '[';
+    }
+
+    // Варіанти словникової форми для однослівного пошуку
+    lemmaCandidates(word, sourceLang) {
+        const candidates = [word];
+        
+        if (sourceLang === 'en') {
+            if (word.endsWith("'s")) candidates.push(word.slice(0, -2));
+            if (word.endsWith('ies')) candidates.push(word.slice(0, -3) + 'y');
+            if (word.endsWith('es')) candidates.push(word.slice(0, -2));
+            if (word.endsWith('s')) candidates.push(word.slice(0, -1));
+            if (word.endsWith('ed')) candidates.push(word.slice(0, -2), word.slice(0, -1));
+            if (word.endsWith('ing')) candidates.push(word.slice(0, -3), word.slice(0, -3) + 'e');
+        }
+        
+        return candidates;
+    }
+
+    lookupWord(word, table, sourceLang) {
+        for (const candidate of this.lemmaCandidates(word, sourceLang)) {
+            if (table.phrases.has(candidate)) return table.phrases.get(candidate);
+        }
+        if (sourceLang === 'uk') {
+            const stem = this.stemUkrainian(word);
+            if (table.stems.has(stem)) return table.stems.get(stem);
+        }
+        return null;
+    }
+
+    // Найдовша фраза, що починається з токена start; слова мають бути розділені лише пробілами
+    matchLongest(tokens, start, table, sourceLang) {
+        const words = [];
+        let index = start;
+        
+        while (index < tokens.length && words.length < this.maxPhraseWords) {
+            if (!this.isWord(tokens[index])) break;
+            words.push({ word: this.normalizePhrase(tokens[index]), end: index + 1 });
+            
+            const separator = tokens[index + 1];
+            if (!separator || !/^[ \t]+$/.test(separator)) break;
+            index += 2;
+        }
+        
+        for (let count = words.length; count > 1; count--) {
+            const phrase = words.slice(0, count).map(item => item.word).join(' ');
+            if (table.phrases.has(phrase)) {
+                return { target: table.phrases.get(phrase), end: words[count - 1].end };
             }
+        }
+        
+        const single = this.lookupWord(words[0].word, table, sourceLang);
+        return single === null ? null : { target: single, end: words[0].end };
+    }
+
+    applyCase(original, translation) {
+        if (!translation) return translation;
+        if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+            return translation.toUpperCase();
+        }
+        if (original[0] !== original[0].toLowerCase()) {
+            return translation[0].toUpperCase() + translation.slice(1);
+        }
+        return translation;
+    }
+
+    translate(text, sourceLang, targetLang) {
+        const table = this.getTable(sourceLang, targetLang);
+        const tokens = this.tokenize(text);
+        const output = [];
+        const unknownWords = [];
+        let capitalizeNext = false;
+        let index = 0;
+        
+        while (index < tokens.length) {
+            const token = tokens[index];
             
-            // Оновлення текстового поля
-            if (elements.englishText) {
-                elements.englishText.value = finalTranscript + interimTranscript;
+            if (!this.isWord(token)) {
+                output.push(token);
+                index++;
+                continue;
             }
             
-            // Автоматичний переклад
-            if (finalTranscript) {
-                translateText(finalTranscript);
-                
-                // Перевірка на наявність запитання
-                checkForQuestion(finalTranscript);
-                
-                // Додавання до журналу
-                if (finalTranscript.trim()) {
-                    addToLog(finalTranscript);
-                }
+            const match = this.matchLongest(tokens, index, table, sourceLang);
+            if (match && !match.target) {
+                // Велика літера пропущеного слова (артикля) переходить на наступне
+                capitalizeNext = capitalizeNext || this.applyCase(token, 'x') === 'X';
+                index = match.end;
+            } else if (match) {
+                const translated = this.applyCase(token, match.target);
+                output.push(capitalizeNext ? translated[0].toUpperCase() + translated.slice(1) : translated);
+                capitalizeNext = false;
+                index = match.end;
+            } else {
+                capitalizeNext = false;
+                unknownWords.push(token);
+                output.push(`⟨${token}⟩`);
+                index++;
             }
-        };
+        }
         
-        recognition.onerror = function(event) {
-            console.error('Помилка розпізнавання мовлення:', event.error);
-            showNotification('Помилка розпізнавання мовлення: ' + event.error, 'error');
+        // Порожні переклади (артиклі) залишають подвійні пробіли
+        const translated = output.join('')
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/^[ \t]+|[ \t]+$/gm, '')
+            .replace(/[ \t]+([.,!?;:])/g, '$1');
+        
+        return { text: translated, unknownWords: unknownWords };
+    }
+}
+
+// Колонки CSV для імпорту й експорту глосарію
+const GLOSSARY_CSV_COLUMNS = ['source', 'target', 'source_lang', 'target_lang', 'case_sensitive', 'do_not_translate'];
+
+// Глосарій користувача: обов'язкові переклади термінів і слова, які не перекладаються
+class Glossary {
+    constructor(storageKey = 'translationGlossary') {
+        this.storageKey = storageKey;
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            this.entries = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Помилка завантаження глосарію:', error);
+            this.entries = [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    normalizeEntry(entry) {
+        const normalized = {
+            source: (entry.source || '').trim(),
+            target: entry.doNotTranslate ? '' : (entry.target || '').trim(),
+            sourceLang: entry.sourceLang,
+            targetLang: entry.targetLang,
+            caseSensitive: Boolean(entry.caseSensitive),
+            doNotTranslate: Boolean(entry.doNotTranslate)
         };
-    } catch (error) {
-        console.error('Помилка ініціалізації розпізнавання мовлення:', error);
-        if (elements.micButton) elements.micButton.disabled = true;
+        
+        if (!normalized.source || (!normalized.doNotTranslate && !normalized.target)) {
+            throw new Error('Термін глосарію потребує оригіналу та перекладу');
+        }
+        return normalized;
     }
-    
-    // Безпечне додавання обробників подій
-    safeAddEventListener(elements.micButton, 'click', toggleRecording);
-    safeAddEventListener(elements.copyEnglish, 'click', () => copyToClipboard(elements.englishText));
-    safeAddEventListener(elements.copyUkrainian, 'click', () => copyToClipboard(elements.ukrainianText));
-    safeAddEventListener(elements.clearText, 'click', clearAllText);
-    safeAddEventListener(elements.togglePassword, 'click', togglePasswordVisibility);
-    safeAddEventListener(elements.clearVoiceLog, 'click', clearVoiceLogHandler);
-    safeAddEventListener(elements.clearTranslationLog, 'click', clearTranslationLogHandler);
-    safeAddEventListener(elements.saveApiKey, 'click', saveApiKeyHandler);
-    
-    // Обробники подій введення тексту
-    safeAddEventListener(elements.englishText, 'input', handleTextInput);
-    
-    // Завантаження збереженого API ключа
-    if (elements.apiKeyInput) {
-        elements.apiKeyInput.value = deepSeekApiKey;
+
+    // Той самий термін для тієї ж пари замінюємо новим записом
+    upsert(entry) {
+        this.entries = this.entries.filter(existing => !(
+            existing.source.toLowerCase() === entry.source.toLowerCase() &&
+            existing.sourceLang === entry.sourceLang &&
+            existing.targetLang === entry.targetLang
+        ));
+        this.entries.push(entry);
+    }
+
+    addEntry(entry) {
+        const normalized = this.normalizeEntry(entry);
+        this.upsert(normalized);
+        this.save();
+        return normalized;
+    }
+
+    removeEntry(index) {
+        this.entries.splice(index, 1);
+        this.save();
+    }
+
+    // Записи «не перекладати» діють для будь-якої цільової мови
+    getEntries(sourceLang, targetLang) {
+        return this.entries.filter(entry =>
+            entry.sourceLang === sourceLang && (entry.doNotTranslate || entry.targetLang === targetLang));
+    }
+
+    escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Заміна термінів на плейсхолдери {{n}}, які сервіси перекладу залишають без змін
+    mask(text, sourceLang, targetLang) {
+        const replacements = [];
+        const terms = [];
+        let masked = text;
+        
+        // Довші терміни першими, щоб «New York Times» не розбився на «New York»
+        const entries = this.getEntries(sourceLang, targetLang)
+            .slice()
+            .sort((a, b) => b.source.length - a.source.length);
+        
+        entries.forEach(entry => {
+            const flags = entry.caseSensitive ? 'gu' : 'giu';
+            const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${this.escapeRegExp(entry.source)}(?![\\p{L}\\p{N}])`, flags);
+            
+            masked = masked.replace(pattern, match => {
+                replacements.push(entry.doNotTranslate ? match : entry.target);
+                if (!terms.includes(entry.source)) terms.push(entry.source);
+                return `{{${replacements.length - 1}}}`;
+            });
+        });
+        
+        return { text: masked, replacements, terms };
+    }
+
+    // Повернення обов'язкових перекладів; сервіси іноді додають пробіли всередині дужок
+    restore(text, replacements) {
+        const restored = new Set();
+        const result = text.replace(/\{\{\s*(\d+)\s*\}\}/g, (match, index) => {
+            const replacement = replacements[Number(index)];
+            if (replacement === undefined) return match;
+            restored.add(Number(index));
+            return replacement;
+        });
+        
+        const missing = replacements
+            .map((replacement, index) => index)
+            .filter(index => !restored.has(index));
+        
+        return { text: result, missing };
+    }
+
+    toCsv() {
+        const rows = this.entries.map(entry => [
+            entry.source,
+            entry.target,
+            entry.sourceLang,
+            entry.targetLang,
+            entry.caseSensitive ? 'true' : 'false',
+            entry.doNotTranslate ? 'true' : 'false'
+        ]);
+        return toCsv([GLOSSARY_CSV_COLUMNS].concat(rows));
+    }
+
+    // Імпорт CSV з тими ж колонками; відсутні мови беруться з поточної пари
+    importCsv(content, sourceLang, targetLang) {
+        const rows = parseCsv(content);
+        if (!rows.length) return 0;
+        
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const hasHeader = header.includes('source');
+        const column = name => (hasHeader ? header.indexOf(name) : GLOSSARY_CSV_COLUMNS.indexOf(name));
+        const flag = value => /^(true|1|yes|так)$/i.test((value || '').trim());
+        let imported = 0;
+        
+        rows.slice(hasHeader ? 1 : 0).forEach(row => {
+            const cell = name => (column(name) >= 0 ? row[column(name)] : undefined);
+            if (!cell('source') || !cell('source').trim()) return;
+            
+            try {
+                this.upsert(this.normalizeEntry({
+                    source: cell('source'),
+                    target: cell('target'),
+                    sourceLang: (cell('source_lang') || sourceLang).trim(),
+                    targetLang: (cell('target_lang') || targetLang).trim(),
+                    caseSensitive: flag(cell('case_sensitive')),
+                    doNotTranslate: flag(cell('do_not_translate'))
+                }));
+                imported++;
+            } catch (error) {
+                console.warn('Пропущено рядок глосарію:', row, error.message);
+            }
+        });
+        
+        this.save();
+        return imported;
     }
-    
-    // Завантаження журналу
-    updateLogDisplay();
-    
-    console.log('Додаток успішно ініціалізовано');
 }
 
-// Функції
-function toggleRecording() {
-    if (!recognition) return;
-    
-    if (isRecording) {
-        recognition.stop();
-    } else {
+// Детектори персональних даних; порядок важливий: картки й IP перевіряються раніше за телефони
+const REDACTION_DETECTORS = {
+    email: {
+        label: 'Email',
+        tag: 'EMAIL',
+        pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+        // Імена файлів на кшталт icon@2x.png мають ту саму форму, що й адреса
+        validate: (value) => !/\.(png|jpe?g|gif|svg|webp|ico)$/i.test(value)
+    },
+    card: {
+        label: 'Номери карток',
+        tag: 'CARD',
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        validate: (value) => PrivacyFilter.isLuhnValid(value)
+    },
+    iban: {
+        label: 'IBAN',
+        tag: 'IBAN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g
+    },
+    ip: {
+        label: 'IP-адреси',
+        tag: 'IP',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+    },
+    phone: {
+        label: 'Телефони',
+        tag: 'PHONE',
+        // Міжнародний номер з +, національний з 0 (код у дужках або без) чи 555-123-4567;
+        // число, що продовжує дату, час, версію або суму, не вважається телефоном
+        pattern: /(?<![\p{L}\p{N}+]|\p{N}[\s.,:\/-])(?:\+\d{1,3}[ .-]?\(?\d{1,4}\)?(?:[ .-]?\d{2,4}){2,4}|\(?0[1-9]\d{0,3}\)?(?:[ .-]?\d{2,4}){2,4}|\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4})(?![\p{L}\p{N}]|[.,:\/-]\p{N})/gu,
+        validate: (value) => {
+            const digits = value.replace(/\D/g, '').length;
+            // «+12 500 000» — сума з розрядами тисяч, а не номер
+            const roundAmount = /^\+?\d{1,3}(?: \d{3})+$/.test(value) && value.endsWith('000');
+            return digits >= 9 && digits <= 15 && !roundAmount;
+        }
+    }
+};
+
+// Приховування персональних даних перед надсиланням тексту стороннім сервісам.
+// Знайдені значення замінюються плейсхолдерами [EMAIL_1] і повертаються лише в локальний результат;
+// журнал зберігає тип і плейсхолдер, але не саме значення
+class PrivacyFilter {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'privacySettings';
+        this.maxEvents = options.maxEvents || 200;
+        this.onEvent = options.onEvent || (() => {});
+        const detectors = {};
+        Object.keys(REDACTION_DETECTORS).forEach(id => { detectors[id] = true; });
+        
+        const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        this.settings = Object.assign({ enabled: true, denyList: [], localOnly: false }, saved, {
+            detectors: Object.assign(detectors, saved.detectors)
+        });
+        this.events = [];
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    // Імена, назви проєктів тощо — по одному на рядок; дублікати без урахування регістру відкидаються
+    parseDenyList(value) {
+        const seen = new Set();
+        return value.split('\n')
+            .map(term => term.trim())
+            .filter(term => {
+                const key = term.toLowerCase();
+                if (!term || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Спільні заміни для кількох текстів одного запиту (напр. усіх повідомлень Q&A):
+    // однакове значення отримує однаковий плейсхолдер
+    createContext(channel) {
+        return { channel: channel, values: new Map(), replacements: [], counts: {} };
+    }
+
+    redact(text, context) {
+        if (!this.settings.enabled || !text) return text;
+        let result = text;
+        
+        Object.keys(REDACTION_DETECTORS).forEach(id => {
+            if (!this.settings.detectors[id]) return;
+            const detector = REDACTION_DETECTORS[id];
+            result = this.replaceOutsidePlaceholders(result, detector.pattern, match => (
+                detector.validate && !detector.validate(match) ? match : this.placeholder(context, detector.tag, match)
+            ));
+        });
+        
+        // Слова зі списку після детекторів, щоб ім'я не розбило email; довші раніше коротших
+        this.settings.denyList
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .forEach(term => {
+                const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+                result = this.replaceOutsidePlaceholders(result, pattern, match => this.placeholder(context, 'TERM', match));
+            });
+        
+        return result;
+    }
+
+    // Вже вставлені плейсхолдери не змінюються наступними детекторами
+    replaceOutsidePlaceholders(text, pattern, replacer) {
+        return text.split(/(\[[A-Z]+_\d+\])/)
+            .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, replacer)))
+            .join('');
+    }
+
+    placeholder(context, tag, value) {
+        const key = `${tag}:${value}`;
+        if (!context.values.has(key)) {
+            context.replacements.push(value);
+            const placeholder = `[${tag}_${context.replacements.length}]`;
+            context.values.set(key, placeholder);
+            context.counts[tag] = (context.counts[tag] || 0) + 1;
+            this.recordEvent({ timestamp: new Date().toISOString(), channel: context.channel, type: tag, placeholder: placeholder });
+        }
+        return context.values.get(key);
+    }
+
+    recordEvent(event) {
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) this.events.shift();
+        this.onEvent(event);
+    }
+
+    clearEvents() {
+        this.events = [];
+    }
+
+    // Повернення значень; сервіси іноді додають пробіли всередині дужок
+    restore(text, context) {
+        const restored = new Set();
+        const result = text.replace(/\[\s*([A-Z]+)_(\d+)\s*\]/g, (match, tag, index) => {
+            const value = context.replacements[Number(index) - 1];
+            if (value === undefined) return match;
+            restored.add(Number(index));
+            return value;
+        });
+        
+        return { text: result, missing: context.replacements.length - restored.size };
+    }
+
+    // Алгоритм Луна відсіює довільні довгі числа, схожі на номер картки
+    static isLuhnValid(value) {
+        const digits = value.replace(/\D/g, '');
+        let sum = 0;
+        for (let index = 0; index < digits.length; index++) {
+            let digit = Number(digits[digits.length - 1 - index]);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return digits.length >= 13 && sum % 10 === 0;
+    }
+
+    static isLocalUrl(url) {
+        try {
+            const hostname = new URL(url).hostname;
+            return ['localhost', '[::1]'].includes(hostname) || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // У локальному режимі дозволені лише запити до localhost
+    isAllowedUrl(url) {
+        return !this.settings.localOnly || PrivacyFilter.isLocalUrl(url);
+    }
+
+    assertAllowed(url) {
+        if (this.isAllowedUrl(url)) return;
+        let host = url;
         try {
-            recognition.start();
+            host = new URL(url).host;
         } catch (error) {
-            console.error('Помилка запуску запису:', error);
-            showNotification('Помилка запуску запису', 'error');
+            // Некоректна адреса показується як є
+        }
+        throw new Error(`Локальний режим: запит до ${host} заблоковано`);
+    }
+}
+
+// Типи провайдерів перекладу: як побудувати запит і як розібрати відповідь
+const TRANSLATION_PROVIDER_TYPES = {
+    mymemory: {
+        label: 'MyMemory',
+        // Безкоштовний MyMemory приймає до 500 символів
+        maxLength: 500,
+        buildRequest({ text, source, target, url, apiKey }) {
+            const key = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+            return { url: `${url}?q=${encodeURIComponent(text)}&langpair=${source}|${target}${key}` };
+        },
+        parseResponse(data) {
+            if (data.responseStatus !== 200) {
+                throw new Error(`API error: ${data.responseStatus}`);
+            }
+            return data.responseData.translatedText;
+        }
+    },
+    libretranslate: {
+        label: 'LibreTranslate',
+        maxLength: 2000,
+        // LibreTranslate використовує двобуквені коди ISO 639-1
+        langMap: { 'en': 'en', 'uk': 'uk', 'pl': 'pl', 'de': 'de', 'fr': 'fr' },
+        buildRequest({ text, source, target, url, apiKey }) {
+            const body = { q: text, source: source, target: target, format: 'text' };
+            if (apiKey) body.api_key = apiKey;
+            return {
+                url: url,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                }
+            };
+        },
+        parseResponse(data) {
+            return data.translatedText;
+        }
+    },
+    apertium: {
+        label: 'Apertium',
+        maxLength: 1000,
+        // Apertium використовує трибуквені коди ISO 639-3
+        langMap: { 'en': 'eng', 'uk': 'ukr', 'pl': 'pol', 'de': 'deu', 'fr': 'fra' },
+        buildRequest({ text, source, target, url }) {
+            return { url: `${url}?q=${encodeURIComponent(text)}&langpair=${source}|${target}` };
+        },
+        parseResponse(data) {
+            return data.responseData && data.responseData.translatedText;
+        }
+    },
+    google: {
+        label: 'Google Translate (неофіційний)',
+        // Текст передається в URL, тож тримаємо запас до ліміту довжини адреси
+        maxLength: 1000,
+        buildRequest({ text, source, target, url }) {
+            return { url: `${url}?client=gtx&sl=${source}&tl=${target}&dt=t&q=${encodeURIComponent(text)}` };
+        },
+        // Відповідь містить переклад кожного речення окремо — збираємо всі частини
+        parseResponse(data) {
+            if (!data || !Array.isArray(data[0])) return null;
+            return data[0].map(part => part[0] || '').join('');
+        }
+    },
+    deepl: {
+        label: 'DeepL',
+        maxLength: 5000,
+        langMap: { 'en': 'EN', 'uk': 'UK', 'pl': 'PL', 'de': 'DE', 'fr': 'FR' },
+        // Для цільової англійської DeepL вимагає варіант мови
+        targetLangMap: { 'en': 'EN-US', 'uk': 'UK', 'pl': 'PL', 'de': 'DE', 'fr': 'FR' },
+        buildRequest({ text, source, target, url, apiKey }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `DeepL-Auth-Key ${apiKey}`;
+            return {
+                url: url,
+                init: {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify({ text: [text], source_lang: source, target_lang: target })
+                }
+            };
+        },
+        parseResponse(data) {
+            return data.translations && data.translations[0] && data.translations[0].text;
+        }
+    },
+    generic: {
+        label: 'Власний JSON API',
+        maxLength: 2000,
+        // POST {text, source, target}; переклад береться за шляхом responsePath
+        buildRequest({ text, source, target, url, apiKey }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            return {
+                url: url,
+                init: {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify({ text: text, source: source, target: target })
+                }
+            };
+        },
+        parseResponse(data, provider) {
+            const path = (provider.responsePath || 'translatedText').split('.');
+            return path.reduce((value, key) => (value == null ? value : value[key]), data);
+        }
+    }
+};
+
+// Вбудовані провайдери перекладу в порядку пріоритету
+const BUILTIN_TRANSLATION_PROVIDERS = [
+    { name: 'MyMemory', type: 'mymemory', url: 'https://api.mymemory.translated.net/get', timeout: 8000 },
+    { name: 'LibreTranslate', type: 'libretranslate', url: 'https://libretranslate.com/translate', timeout: 10000 },
+    { name: 'Apertium', type: 'apertium', url: 'https://apertium.org/apy/translate', timeout: 8000 },
+    { name: 'GoogleTranslate', type: 'google', url: 'https://translate.googleapis.com/translate_a/single', timeout: 8000 }
+];
+
+// Клас TranslationService з автоматичним перемиканням API
+class TranslationService {
+    constructor(options = {}) {
+        this.services = [];
+        this.logs = [];
+        this.maxLogSize = 1000;
+        this.circuits = {};
+        this.stats = {};
+        this.cache = new TranslationCache();
+        this.offlineDictionary = new OfflineDictionary();
+        this.glossary = new Glossary();
+        // Сховище API ключів (SecretStore); провайдери посилаються на ключ за назвою (keyName)
+        this.secrets = options.secrets || null;
+        // Приховування персональних даних і локальний режим (PrivacyFilter)
+        this.privacy = options.privacy || null;
+        this.pendingRequests = new Map();
+        this.requestTimeout = 8000;
+        this.defaultMaxLength = 1000;
+        this.maxConcurrentSegments = 3;
+        
+        BUILTIN_TRANSLATION_PROVIDERS.forEach(provider => this.registerProvider(provider));
+    }
+
+    // Логування подій
+    log(level, message, service = null, details = null) {
+        // Ключі можуть потрапити в текст помилки разом з URL запиту
+        if (this.secrets) {
+            message = this.secrets.redact(message);
+            if (details && details.error) details = Object.assign({}, details, { error: this.secrets.redact(details.error) });
+        }
+        
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            service: service,
+            message: message,
+            details: details
+        };
+        
+        this.logs.push(logEntry);
+        
+        if (this.logs.length > this.maxLogSize) {
+            this.logs.shift();
+        }
+        
+        // Оновлення UI
+        this.updateLogsUI(logEntry);
+    }
+
+    updateLogsUI(logEntry) {
+        if (typeof window !== 'undefined' && window.updateTranslationLogs) {
+            window.updateTranslationLogs(logEntry);
+        }
+    }
+
+    handleCircuitStateChange(circuit, previous, details) {
+        const level = circuit.state === 'open' ? 'WARN' : 'INFO';
+        const cooldown = details && details.cooldown ? `, охолодження ${Math.round(details.cooldown / 1000)}с` : '';
+        this.log(level, `Стан вимикача ${circuit.name}: ${previous} → ${circuit.state}${cooldown}`, circuit.name, details);
+    }
+
+    getOpenCircuits() {
+        return Object.keys(this.circuits).filter(name => this.circuits[name].state !== 'closed');
+    }
+
+    // Додає назву сервісу до повідомлення, зберігаючи статус і Retry-After
+    wrapServiceError(serviceName, error) {
+        if (error.name === 'AbortError') return error;
+        const wrapped = new Error(`${serviceName} failed: ${error.message}`);
+        wrapped.status = error.status;
+        wrapped.retryAfter = error.retryAfter;
+        return wrapped;
+    }
+
+    // Основний метод перекладу
+    async translateText(text, sourceLang, targetLang, options = {}) {
+        const signal = options.signal || null;
+
+        if (!text.trim()) {
+            this.log('WARN', 'Спроба перекладу пустого тексту');
+            return { success: false, text: '' };
+        }
+
+        // Персональні дані замінюються плейсхолдерами ще до кешу й сервісів
+        const redaction = this.privacy ? this.privacy.createContext('translation') : null;
+        const outgoing = redaction ? this.privacy.redact(text, redaction) : text;
+        
+        // Довгий текст перекладаємо пакетами речень, щоб не впертися в ліміти сервісів
+        const maxLength = this.getMaxSegmentLength();
+        const segments = this.packSegments(this.splitIntoSegments(outgoing, maxLength), maxLength);
+        const result = segments.filter(segment => segment.translate).length > 1
+            ? await this.translateSegments(segments, sourceLang, targetLang, signal)
+            : await this.translateSegment(outgoing, sourceLang, targetLang, signal);
+        
+        return redaction && redaction.replacements.length ? this.restoreRedacted(result, redaction) : result;
+    }
+
+    // Оригінальні значення повертаються лише в локальний результат перекладу
+    restoreRedacted(result, redaction) {
+        const restored = this.privacy.restore(result.text, redaction);
+        const counts = Object.keys(redaction.counts).map(tag => `${tag} ×${redaction.counts[tag]}`).join(', ');
+        this.log('INFO', `Приховано персональні дані: ${counts}`, 'Redaction', { counts: redaction.counts });
+        
+        if (restored.missing) {
+            this.log('WARN', `Приховування: сервіс втратив ${restored.missing} плейсхолдер(и)`, result.service);
+        }
+        
+        return Object.assign({}, result, { text: restored.text, redacted: redaction.counts });
+    }
+
+    // Найменший ліміт довжини серед сервісів, до яких зараз можна звернутися: сегмент приймає будь-який із них.
+    // Сервіс з відкритим вимикачем чи заблокований локальним режимом не зменшує пакети
+    getMaxSegmentLength() {
+        const limits = this.services
+            .filter(service => service.enabled && !this.isBlocked(service) && this.circuits[service.name].isAvailable())
+            .map(service => service.maxLength);
+        return limits.length ? Math.min(...limits) : this.defaultMaxLength;
+    }
+
+    // Локальний режим дозволяє лише сервіси на localhost
+    isBlocked(service) {
+        return Boolean(this.privacy) && !this.privacy.isAllowedUrl(service.url);
+    }
+
+    // Розбиття на речення та рядки; пробіли й переноси між ними зберігаються як є
+    splitIntoSegments(text, maxLength) {
+        const segments = [];
+        const parts = text.split(/((?<=[.!?…])\s+|\s*\n\s*)/);
+        
+        parts.forEach((part, index) => {
+            if (!part) return;
+            
+            if (index % 2 === 1 || !part.trim()) {
+                segments.push({ text: part, translate: false });
+                return;
+            }
+            
+            const leading = part.match(/^\s*/)[0];
+            const trailing = part.match(/\s*$/)[0];
+            if (leading) segments.push({ text: leading, translate: false });
+            this.pushLongSentence(segments, part.trim(), maxLength);
+            if (trailing) segments.push({ text: trailing, translate: false });
+        });
+        
+        return segments;
+    }
+
+    // Задовге речення ділимо по комах, потім по пробілах, в крайньому разі — жорстко
+    pushLongSentence(segments, sentence, maxLength) {
+        let rest = sentence;
+        
+        while (rest.length > maxLength) {
+            const window = rest.slice(0, maxLength + 1);
+            let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+            cut = cut > 0 ? cut + 1 : window.lastIndexOf(' ');
+            if (cut <= 0) cut = maxLength;
+            
+            segments.push({ text: rest.slice(0, cut), translate: true });
+            const separator = rest.slice(cut).match(/^\s*/)[0];
+            if (separator) segments.push({ text: separator, translate: false });
+            rest = rest.slice(cut + separator.length);
+        }
+        
+        if (rest) segments.push({ text: rest, translate: true });
+    }
+
+    // Сусідні речення одного абзацу об'єднуються в пакети до maxLength: менше запитів до сервісів,
+    // і сервіс бачить контекст сусідніх речень. Переноси рядків лишаються межами пакетів
+    packSegments(segments, maxLength) {
+        const packed = [];
+        let batch = null;
+        let gap = '';
+        
+        segments.forEach(segment => {
+            if (!segment.translate) {
+                if (batch && !segment.text.includes('\n')) {
+                    gap += segment.text;
+                    return;
+                }
+                if (gap) packed.push({ text: gap, translate: false });
+                packed.push(segment);
+                batch = null;
+                gap = '';
+                return;
+            }
+            
+            if (batch && batch.text.length + gap.length + segment.text.length <= maxLength) {
+                batch.text += gap + segment.text;
+            } else {
+                if (gap) packed.push({ text: gap, translate: false });
+                batch = { text: segment.text, translate: true };
+                packed.push(batch);
+            }
+            gap = '';
+        });
+        
+        if (gap) packed.push({ text: gap, translate: false });
+        return packed;
+    }
+
+    // Паралельний переклад сегментів з обмеженням одночасних запитів і збиранням у вихідному порядку
+    async translateSegments(segments, sourceLang, targetLang, signal = null) {
+        const pieces = segments.filter(segment => segment.translate);
+        const results = new Array(pieces.length);
+        let next = 0;
+        
+        this.log('INFO', `Текст розбито на ${pieces.length} сегментів`, null, {
+            textLength: segments.reduce((sum, segment) => sum + segment.text.length, 0),
+            concurrency: this.maxConcurrentSegments
+        });
+        
+        const worker = async () => {
+            while (next < pieces.length) {
+                const index = next++;
+                results[index] = await this.translateSegment(pieces[index].text, sourceLang, targetLang, signal);
+            }
+        };
+        const workers = Math.min(this.maxConcurrentSegments, pieces.length);
+        await Promise.all(Array.from({ length: workers }, worker));
+        
+        let position = 0;
+        const text = segments
+            .map(segment => (segment.translate ? results[position++].text : segment.text))
+            .join('');
+        const reused = results.filter(result => result.cached).length;
+        
+        if (reused) {
+            this.log('INFO', `Перевикористано ${reused} з ${pieces.length} сегментів`, 'Cache');
+        }
+        
+        return {
+            success: results.every(result => result.success),
+            text: text,
+            service: Array.from(new Set(results.map(result => result.service))).join(', '),
+            cached: reused === results.length,
+            segments: pieces.length
+        };
+    }
+
+    // Переклад одного сегмента з глосарієм: терміни маскуються до кешу й запитів до сервісів
+    async translateSegment(text, sourceLang, targetLang, signal = null) {
+        const masked = this.glossary.mask(text, sourceLang, targetLang);
+        if (!masked.terms.length) {
+            return this.translateCachedSegment(text, sourceLang, targetLang, signal);
+        }
+        
+        this.log('INFO', `Глосарій: застосовано терміни ${masked.terms.join(', ')}`, 'Glossary', {
+            terms: masked.terms
+        });
+        
+        // Сегмент лише з термінів не потребує сервісу перекладу
+        const result = /\p{L}/u.test(masked.text.replace(/\{\{\d+\}\}/g, ''))
+            ? await this.translateCachedSegment(masked.text, sourceLang, targetLang, signal)
+            : { success: true, text: masked.text, service: 'Glossary' };
+        const restored = this.glossary.restore(result.text, masked.replacements);
+        
+        if (restored.missing.length) {
+            this.log('WARN', `Глосарій: сервіс втратив ${restored.missing.length} термін(и)`, result.service, {
+                terms: restored.missing.map(index => masked.replacements[index])
+            });
+        }
+        
+        return Object.assign({}, result, { text: restored.text, glossaryTerms: masked.terms });
+    }
+
+    // Переклад одного сегмента: кеш, об'єднання однакових запитів, перемикання сервісів
+    async translateCachedSegment(text, sourceLang, targetLang, signal = null) {
+        const cacheKey = this.cache.makeKey(text, sourceLang, targetLang);
+        const cached = await this.cache.get(cacheKey);
+        
+        if (cached) {
+            this.log('INFO', `Переклад знайдено в кеші (${cached.tier})`, 'Cache', {
+                service: cached.service
+            });
+            return { success: true, text: cached.text, service: cached.service, cached: true };
+        }
+        
+        this.log('DEBUG', 'Перекладу немає в кеші', 'Cache');
+        
+        // Однаковий текст, що вже перекладається, не надсилаємо вдруге
+        if (this.pendingRequests.has(cacheKey)) {
+            this.log('DEBUG', 'Очікування вже запущеного перекладу того ж тексту', 'Cache');
+            try {
+                return await this.pendingRequests.get(cacheKey);
+            } catch (error) {
+                // Спільний запит скасував інший виклик — перекладаємо самостійно
+                if (error.name !== 'AbortError' || (signal && signal.aborted)) throw error;
+            }
+        }
+        
+        const request = this.translateWithServices(text, sourceLang, targetLang, signal)
+            .then(result => {
+                // Резервний офлайн-переклад не кешуємо
+                if (result.success && result.service !== 'OfflineDictionary') {
+                    this.cache.set(cacheKey, result.text, result.service);
+                }
+                return result;
+            })
+            .finally(() => this.pendingRequests.delete(cacheKey));
+        
+        this.pendingRequests.set(cacheKey, request);
+        return request;
+    }
+
+    // Переклад через доступні сервіси з автоматичним перемиканням
+    async translateWithServices(text, sourceLang, targetLang, signal = null) {
+        this.log('INFO', `Початок перекладу: "${text.substring(0, 50)}..."`, null, {
+            sourceLang: sourceLang,
+            targetLang: targetLang,
+            textLength: text.length
+        });
+
+        // Без мережі одразу перекладаємо офлайн, не витрачаючи спроби сервісів
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.log('WARN', 'Немає підключення до мережі');
+            return this.useBackupTranslation(text, sourceLang, targetLang);
+        }
+
+        // Локальний режим: лише сервіси на localhost, інакше — офлайн-словник
+        const blockedServices = this.services.filter(service => service.enabled && this.isBlocked(service));
+        if (blockedServices.length) {
+            this.log('INFO', `Локальний режим: пропущено ${blockedServices.map(s => s.name).join(', ')}`);
+        }
+
+        const availableServices = this.services
+            .filter(service => service.enabled && !blockedServices.includes(service) && this.circuits[service.name].isAvailable())
+            .sort((a, b) => a.priority - b.priority);
+
+        this.log('INFO', `Доступні сервіси: ${availableServices.map(s => s.name).join(', ')}`, null, {
+            total: availableServices.length,
+            failed: this.getOpenCircuits()
+        });
+
+        if (availableServices.length === 0) {
+            this.log('ERROR', 'Немає доступних сервісів перекладу');
+            return this.useBackupTranslation(text, sourceLang, targetLang);
+        }
+
+        for (const service of availableServices) {
+            const circuit = this.circuits[service.name];
+            // Стан міг змінитися, поки працювали попередні сервіси
+            if (!circuit.acquire()) continue;
+            
+            try {
+                this.log('INFO', `Спроба перекладу через ${service.name}`, service.name);
+                
+                const startTime = Date.now();
+                const result = await service.translator(text, sourceLang, targetLang, signal, service.timeout);
+                const duration = Date.now() - startTime;
+                
+                if (result.success) {
+                    this.log('SUCCESS', `Переклад успішний через ${service.name}`, service.name, {
+                        duration: `${duration}ms`,
+                        textLength: result.text.length
+                    });
+                    
+                    this.recordStats(service.name, true, duration);
+                    circuit.recordSuccess();
+                    return result;
+                }
+                
+            } catch (error) {
+                // Скасований запит не переходить до наступного сервісу
+                if (error.name === 'AbortError') {
+                    circuit.release();
+                    this.log('DEBUG', `Переклад через ${service.name} скасовано`, service.name);
+                    throw error;
+                }
+                
+                this.log('ERROR', `Помилка перекладу через ${service.name}`, service.name, {
+                    error: error.message
+                });
+                
+                if (error.status === 429) {
+                    this.log('WARN', `Ліміт сервісу ${service.name} перевищено`, service.name);
+                }
+                this.recordStats(service.name, false, 0, error);
+                circuit.recordFailure(error);
+                
+                continue;
+            }
+        }
+        
+        this.log('ERROR', 'Усі сервіси перекладу не спрацювали', null, {
+            failedServices: this.getOpenCircuits()
+        });
+        
+        // Використовуємо резервний переклад
+        return this.useBackupTranslation(text, sourceLang, targetLang);
+    }
+
+    // Реєстрація провайдера: name, url, apiKey, timeout і або type з TRANSLATION_PROVIDER_TYPES,
+    // або власні buildRequest(params, provider) / parseResponse(data, provider)
+    registerProvider(definition) {
+        const type = TRANSLATION_PROVIDER_TYPES[definition.type] || {};
+        const provider = Object.assign({}, type, definition);
+        
+        if (!provider.name) {
+            throw new Error('Провайдер перекладу повинен мати назву');
+        }
+        if (typeof provider.buildRequest !== 'function' || typeof provider.parseResponse !== 'function') {
+            throw new Error(`Провайдер ${provider.name}: потрібні buildRequest і parseResponse`);
+        }
+        if (this.services.some(service => service.name === provider.name)) {
+            throw new Error(`Провайдер ${provider.name} вже зареєстровано`);
+        }
+        
+        const priority = this.services.reduce((max, service) => Math.max(max, service.priority + 1), 0);
+        const service = {
+            name: provider.name,
+            translator: (text, sourceLang, targetLang, signal, timeout) =>
+                this.runProvider(provider, text, sourceLang, targetLang, signal, timeout),
+            priority: typeof definition.priority === 'number' ? definition.priority : priority,
+            enabled: definition.enabled !== false,
+            url: provider.url,
+            timeout: provider.timeout || this.requestTimeout,
+            maxLength: provider.maxLength || this.defaultMaxLength,
+            type: definition.type || 'custom',
+            custom: Boolean(definition.custom),
+            provider: provider
+        };
+        
+        this.services.push(service);
+        this.circuits[service.name] = new CircuitBreaker(service.name, {
+            onStateChange: this.handleCircuitStateChange.bind(this)
+        });
+        this.stats[service.name] = { successes: 0, failures: 0, totalDuration: 0, lastError: null, lastErrorAt: null };
+        
+        return service;
+    }
+
+    unregisterProvider(name) {
+        const index = this.services.findIndex(service => service.name === name);
+        if (index === -1) return false;
+        
+        this.services.splice(index, 1);
+        delete this.circuits[name];
+        delete this.stats[name];
+        this.log('INFO', `Провайдер ${name} видалено`);
+        return true;
+    }
+
+    // Ключ зі сховища за назвою; apiKey у самому провайдері — лише для старих налаштувань до міграції
+    getProviderKey(provider) {
+        if (provider.keyName) return this.secrets ? this.secrets.get(provider.keyName) : '';
+        return provider.apiKey || '';
+    }
+
+    // Виконання запиту через провайдера з мапінгом мов і обробкою HTTP-помилок
+    async runProvider(provider, text, sourceLang, targetLang, signal = null, timeout = this.requestTimeout) {
+        try {
+            const langMap = provider.langMap || {};
+            const targetLangMap = provider.targetLangMap || langMap;
+            const request = provider.buildRequest({
+                text: text,
+                source: langMap[sourceLang] || sourceLang,
+                target: targetLangMap[targetLang] || targetLang,
+                url: provider.url,
+                apiKey: this.getProviderKey(provider)
+            }, provider);
+            
+            if (this.privacy) this.privacy.assertAllowed(request.url);
+            const response = await HttpClient.fetchWithTimeout(request.url, request.init || {}, signal, timeout || this.requestTimeout);
+            
+            if (!response.ok) {
+                throw HttpClient.createHttpError(response);
+            }
+            
+            const data = await response.json();
+            const translated = provider.parseResponse(data, provider);
+            
+            if (!translated) {
+                throw new Error('No translation received');
+            }
+            
+            return {
+                success: true,
+                text: translated,
+                service: provider.name
+            };
+            
+        } catch (error) {
+            throw this.wrapServiceError(provider.name, error);
+        }
+    }
+
+    // Резервний офлайн-переклад за локальними словниками
+    useBackupTranslation(text, sourceLang, targetLang) {
+        this.log('WARN', 'Використання резервного перекладу', 'OfflineDictionary');
+        
+        const result = this.offlineDictionary.translate(text, sourceLang, targetLang);
+        if (result.unknownWords.length) {
+            this.log('WARN', `Невідомих слів в офлайн-словнику: ${result.unknownWords.length}`, 'OfflineDictionary', {
+                words: result.unknownWords.slice(0, 20)
+            });
+        }
+        
+        return {
+            success: true,
+            text: result.text,
+            service: 'OfflineDictionary',
+            offline: true,
+            unknownWords: result.unknownWords
+        };
+    }
+
+    recordStats(serviceName, success, duration, error = null) {
+        const stats = this.stats[serviceName];
+        if (!stats) return;
+        
+        if (success) {
+            stats.successes++;
+            stats.totalDuration += duration;
+        } else {
+            stats.failures++;
+            stats.lastError = error ? error.message : null;
+            stats.lastErrorAt = new Date().toISOString();
+        }
+    }
+
+    // Ручна перевірка сервісу поза чергою пріоритетів
+    async testService(serviceName, sourceLang, targetLang) {
+        const service = this.services.find(s => s.name === serviceName);
+        if (!service) throw new Error(`Невідомий сервіс: ${serviceName}`);
+        
+        const circuit = this.circuits[serviceName];
+        this.log('INFO', `Тестування сервісу ${serviceName}`, serviceName);
+        
+        const startTime = Date.now();
+        try {
+            const result = await service.translator('Hello', sourceLang, targetLang, null, service.timeout);
+            const duration = Date.now() - startTime;
+            
+            this.recordStats(serviceName, true, duration);
+            circuit.recordSuccess();
+            this.log('SUCCESS', `Тест ${serviceName} успішний: "${result.text}"`, serviceName, {
+                duration: `${duration}ms`
+            });
+            return { success: true, text: result.text, duration };
+        } catch (error) {
+            this.recordStats(serviceName, false, 0, error);
+            circuit.recordFailure(error);
+            this.log('ERROR', `Тест ${serviceName} не пройдено`, serviceName, { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    setServiceEnabled(serviceName, enabled) {
+        const service = this.services.find(s => s.name === serviceName);
+        if (!service) return;
+        
+        service.enabled = enabled;
+        this.log('INFO', `Сервіс ${serviceName} ${enabled ? 'увімкнено' : 'вимкнено'}`, serviceName);
+    }
+
+    // Пріоритет визначається порядком назв у списку
+    setServiceOrder(serviceNames) {
+        serviceNames.forEach((name, index) => {
+            const service = this.services.find(s => s.name === name);
+            if (service) service.priority = index;
+        });
+        this.log('INFO', `Новий порядок сервісів: ${serviceNames.join(', ')}`);
+    }
+
+    getConfig() {
+        return this.services.map(service => ({
+            name: service.name,
+            enabled: service.enabled,
+            priority: service.priority
+        }));
+    }
+
+    applyConfig(config) {
+        if (!Array.isArray(config)) return;
+        
+        config.forEach(item => {
+            const service = this.services.find(s => s.name === item.name);
+            if (!service) return;
+            if (typeof item.enabled === 'boolean') service.enabled = item.enabled;
+            if (typeof item.priority === 'number') service.priority = item.priority;
+        });
+    }
+
+    // Додаткові методи
+    async clearCache() {
+        await this.cache.clear();
+        this.log('INFO', 'Кеш перекладів очищено', 'Cache');
+    }
+
+    resetFailedServices() {
+        Object.values(this.circuits).forEach(circuit => circuit.reset());
+        this.log('INFO', 'Скинуто список невдалих сервісів');
+    }
+
+    getServiceStatus() {
+        return this.services.map(service => {
+            const circuit = this.circuits[service.name].getStatus();
+            const stats = this.stats[service.name];
+            const requests = stats.successes + stats.failures;
+            return {
+                name: service.name,
+                type: service.type,
+                url: service.url,
+                custom: service.custom,
+                enabled: service.enabled,
+                blocked: this.isBlocked(service),
+                failed: circuit.state !== 'closed',
+                priority: service.priority,
+                circuit: circuit,
+                requests: requests,
+                successRate: requests ? stats.successes / requests : null,
+                averageLatency: stats.successes ? Math.round(stats.totalDuration / stats.successes) : null,
+                lastError: stats.lastError,
+                lastErrorAt: stats.lastErrorAt
+            };
+        }).sort((a, b) => a.priority - b.priority);
+    }
+}
+
+// Сесія розпізнавання мовлення: автоматичний перезапуск після неочікуваного завершення,
+// різна обробка помилок із затримкою, таймер сесії
+class RecognitionSession {
+    constructor(recognition, options = {}) {
+        this.recognition = recognition;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.maxAudioCaptureRetries = options.maxAudioCaptureRetries || 3;
+        this.minHealthyDuration = options.minHealthyDuration || 1000;
+        
+        this.state = 'idle';
+        this.active = false;
+        this.startedAt = null;
+        this.lastStartAt = null;
+        this.attempts = 0;
+        this.audioCaptureFailures = 0;
+        this.lastError = null;
+        this.fatalError = null;
+        this.backoffNeeded = false;
+        this.restartRequested = false;
+        this.restartTimer = null;
+        this.paused = false;
+        this.awaitingEnd = false;
+        
+        recognition.onstart = () => this.handleStart();
+        recognition.onend = () => this.handleEnd();
+        recognition.onerror = (event) => this.handleError(event.error);
+    }
+
+    setState(state, details = {}) {
+        this.state = state;
+        this.onStateChange(state, Object.assign({ error: this.lastError }, details));
+    }
+
+    start() {
+        if (this.active) return;
+        
+        this.active = true;
+        this.startedAt = Date.now();
+        this.attempts = 0;
+        this.audioCaptureFailures = 0;
+        this.lastError = null;
+        this.fatalError = null;
+        this.setState('starting');
+        this.launch();
+    }
+
+    stop() {
+        this.active = false;
+        this.paused = false;
+        clearTimeout(this.restartTimer);
+        this.startedAt = null;
+        
+        try {
+            this.recognition.stop();
+        } catch (error) {
+            console.warn('Розпізнавання вже зупинено:', error);
+        }
+        this.setState('idle');
+    }
+
+    // Перезапуск без завершення сесії (напр. після зміни мови розпізнавання)
+    restart() {
+        if (!this.active || this.paused) return;
+        
+        // Під час очікування перезапуску розпізнавання вже зупинене і end не прийде — запускаємо одразу
+        if (this.state === 'reconnecting') {
+            clearTimeout(this.restartTimer);
+            this.setState('starting');
+            this.launch();
+            return;
+        }
+        
+        this.restartRequested = true;
+        this.recognition.stop();
+    }
+
+    // Тимчасова зупинка без завершення сесії (напр. поки звучить синтезоване мовлення)
+    pause() {
+        if (!this.active || this.paused) return;
+        
+        this.paused = true;
+        this.awaitingEnd = this.state !== 'reconnecting';
+        clearTimeout(this.restartTimer);
+        try {
+            this.recognition.stop();
+        } catch (error) {
+            console.warn('Розпізнавання вже зупинено:', error);
+        }
+        this.setState('paused');
+    }
+
+    resume() {
+        if (!this.paused) return;
+        
+        this.paused = false;
+        if (!this.active) return;
+        
+        if (this.awaitingEnd) {
+            // Попередня сесія ще завершується — перезапуск виконає handleEnd
+            this.restartRequested = true;
+        } else {
+            this.setState('starting');
+            this.launch();
+        }
+    }
+
+    launch() {
+        try {
+            this.recognition.start();
+        } catch (error) {
+            // InvalidStateError: попередня сесія ще не завершилась
+            this.lastError = error.message;
+            this.backoffNeeded = true;
+            this.scheduleRestart();
+        }
+    }
+
+    handleStart() {
+        this.lastStartAt = Date.now();
+        this.setState('recording');
+    }
+
+    // Отримані результати означають, що з'єднання стабільне
+    markHealthy() {
+        this.attempts = 0;
+        this.audioCaptureFailures = 0;
+        this.lastError = null;
+    }
+
+    handleError(error) {
+        this.lastError = error;
+        
+        switch (error) {
+            case 'no-speech':
+            case 'aborted':
+                // Тиша або власна зупинка — перезапускаємо без затримки
+                break;
+            case 'not-allowed':
+            case 'service-not-allowed':
+                this.fatalError = error;
+                this.active = false;
+                break;
+            case 'audio-capture':
+                this.audioCaptureFailures++;
+                this.backoffNeeded = true;
+                if (this.audioCaptureFailures > this.maxAudioCaptureRetries) {
+                    this.fatalError = error;
+                    this.active = false;
+                }
+                break;
+            default:
+                // network та інші збої — з експоненційною затримкою
+                this.backoffNeeded = true;
+        }
+    }
+
+    handleEnd() {
+        if (!this.active) {
+            this.startedAt = null;
+            this.setState(this.fatalError ? 'error' : 'idle', { error: this.fatalError });
+            return;
+        }
+        
+        if (this.paused) {
+            this.awaitingEnd = false;
+            return;
+        }
+        this.awaitingEnd = false;
+        
+        // Сесія, що завершилась одразу після старту, теж потребує затримки
+        if (!this.restartRequested && this.lastStartAt && Date.now() - this.lastStartAt < this.minHealthyDuration) {
+            this.backoffNeeded = true;
+        }
+        this.scheduleRestart();
+    }
+
+    scheduleRestart() {
+        let delay = 0;
+        if (this.backoffNeeded && !this.restartRequested) {
+            delay = Math.min(this.baseDelay * Math.pow(2, this.attempts), this.maxDelay);
+            this.attempts++;
+        }
+        this.backoffNeeded = false;
+        this.restartRequested = false;
+        
+        this.setState('reconnecting', { delay: delay, attempt: this.attempts });
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => {
+            if (this.active) this.launch();
+        }, delay);
+    }
+
+    getElapsed() {
+        return this.startedAt ? Date.now() - this.startedAt : 0;
+    }
+}
+
+// Розпізнавання через Whisper-сумісний HTTP-сервер з інтерфейсом SpeechRecognition, тому ним керує та сама
+// RecognitionSession. Мікрофон записується фрагментами: кожен фрагмент — окремий MediaRecorder, щоб файл мав
+// власний заголовок і декодувався сервером; результати надходять у порядку запису
+class WhisperRecognition {
+    constructor(speechToText) {
+        this.speechToText = speechToText;
+        this.lang = '';
+        this.continuous = true;
+        this.interimResults = false;
+        this.maxAlternatives = 1;
+        this.onstart = null;
+        this.onend = null;
+        this.onerror = null;
+        this.onresult = null;
+        
+        // busy — від start() до події end, як у браузерного розпізнавання
+        this.busy = false;
+        this.running = false;
+        this.failed = false;
+        this.stream = null;
+        this.recorder = null;
+        this.chunkTimer = null;
+        this.pending = Promise.resolve();
+    }
+
+    emit(type, event = {}) {
+        const handler = this[`on${type}`];
+        if (typeof handler === 'function') handler(event);
+    }
+
+    start() {
+        if (this.busy) throw new Error('Розпізнавання вже запущено');
+        this.busy = true;
+        this.running = true;
+        this.failed = false;
+        
+        navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => {
+            this.stream = stream;
+            if (!this.running) {
+                this.finish();
+                return;
+            }
+            this.emit('start');
+            this.record();
+        }).catch(error => {
+            this.running = false;
+            this.busy = false;
+            this.emit('error', { error: error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture' });
+            this.emit('end');
+        });
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        clearTimeout(this.chunkTimer);
+        
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            // Останній фрагмент розпізнається в onstop, після нього — finish()
+            this.recorder.stop();
+        } else if (this.stream) {
+            this.finish();
+        }
+    }
+
+    abort() {
+        this.stop();
+    }
+
+    record() {
+        const recorder = new MediaRecorder(this.stream);
+        const chunks = [];
+        const startedAt = Date.now();
+        
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            this.enqueue(new Blob(chunks, { type: recorder.mimeType }), startedAt, Date.now());
+            if (this.running) {
+                this.record();
+            } else {
+                this.finish();
+            }
+        };
+        
+        this.recorder = recorder;
+        recorder.start();
+        this.chunkTimer = setTimeout(() => {
+            if (recorder.state !== 'inactive') recorder.stop();
+        }, this.speechToText.settings.chunkSeconds * 1000);
+    }
+
+    enqueue(blob, startedAt, endedAt) {
+        this.pending = this.pending.then(() => this.transcribeChunk(blob, startedAt, endedAt));
+    }
+
+    async transcribeChunk(blob, startedAt, endedAt) {
+        // Порожній фрагмент (напр. після миттєвої зупинки) і фрагменти після помилки не надсилаються
+        if (blob.size < 1024 || this.failed) return;
+        
+        try {
+            const extension = /ogg/.test(blob.type) ? 'ogg' : /mp4/.test(blob.type) ? 'm4a' : 'webm';
+            const result = await this.speechToText.transcribe(blob, {
+                lang: this.lang.split('-')[0],
+                filename: `recording.${extension}`
+            });
+            if (!result.text) return;
+            
+            const alternative = [{ transcript: result.text, confidence: 0 }];
+            alternative.isFinal = true;
+            alternative.startedAt = startedAt;
+            alternative.endedAt = endedAt;
+            this.emit('result', { resultIndex: 0, results: [alternative] });
+        } catch (error) {
+            console.error('Помилка розпізнавання фрагмента:', error);
+            // Як і збій мережі у браузерному розпізнаванні: сесія перезапуститься із затримкою
+            this.failed = true;
+            this.emit('error', { error: 'network' });
+            this.stop();
+        }
+    }
+
+    // Подія end надходить після розпізнавання всіх записаних фрагментів
+    finish() {
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.recorder = null;
+        this.pending.then(() => {
+            this.busy = false;
+            this.emit('end');
+        });
+    }
+}
+
+// Провайдери розпізнавання мовлення: живий запис (об'єкт з інтерфейсом SpeechRecognition) і, за наявності, файли
+const SPEECH_TO_TEXT_PROVIDER_TYPES = {
+    browser: {
+        label: 'Браузер (Web Speech API)',
+        transcribesFiles: false,
+        isSupported: () => typeof window !== 'undefined' && ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window),
+        isConfigured: () => true,
+        // Chrome надсилає аудіо на сервери Google
+        isLocal: () => false,
+        createRecognition: () => new (window.SpeechRecognition || window.webkitSpeechRecognition)()
+    },
+    whisper: {
+        label: 'Whisper-сумісний сервер',
+        transcribesFiles: true,
+        isSupported: () => typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
+        isConfigured: (speechToText) => Boolean(speechToText.settings.url),
+        isLocal: (speechToText) => PrivacyFilter.isLocalUrl(speechToText.settings.url),
+        createRecognition: (speechToText) => new WhisperRecognition(speechToText)
+    }
+};
+
+// Налаштування розпізнавання мовлення і запити до Whisper-сумісного сервера
+// (OpenAI /v1/audio/transcriptions або whisper.cpp /inference — обидва приймають multipart з полем file)
+class SpeechToText {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'speechToTextSettings';
+        this.secrets = options.secrets || null;
+        this.privacy = options.privacy || null;
+        // Тайм-аут до відповіді сервера: фрагмент мікрофона розпізнається за секунди, файл — довше
+        this.timeout = options.timeout || 30000;
+        this.fileTimeout = options.fileTimeout || 10 * 60 * 1000;
+        this.settings = Object.assign(
+            { provider: 'browser', url: 'http://localhost:8080/inference', model: 'whisper-1', keyName: '', chunkSeconds: 8 },
+            this.loadSettings()
+        );
+    }
+
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Помилка завантаження налаштувань розпізнавання:', error);
+            return {};
+        }
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    isAvailable(providerId) {
+        const type = SPEECH_TO_TEXT_PROVIDER_TYPES[providerId];
+        return Boolean(type) && type.isSupported() && type.isConfigured(this) && this.isAllowed(providerId);
+    }
+
+    // Локальний режим пропускає лише розпізнавання, яке не передає аудіо за межі комп'ютера
+    isAllowed(providerId) {
+        return !this.privacy || !this.privacy.settings.localOnly || SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].isLocal(this);
+    }
+
+    // Вибраний провайдер або перший доступний, якщо вибраний не працює в цьому браузері
+    resolveProvider() {
+        if (this.isAvailable(this.settings.provider)) return this.settings.provider;
+        return Object.keys(SPEECH_TO_TEXT_PROVIDER_TYPES).find(providerId => this.isAvailable(providerId)) || null;
+    }
+
+    createRecognition(providerId) {
+        return SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].createRecognition(this);
+    }
+
+    // Файли розпізнає лише сервер: браузерне розпізнавання працює тільки з мікрофоном
+    canTranscribeFiles() {
+        return Object.keys(SPEECH_TO_TEXT_PROVIDER_TYPES).some(providerId =>
+            SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].transcribesFiles &&
+            SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].isConfigured(this) && this.isAllowed(providerId)
+        );
+    }
+
+    getKey() {
+        return this.settings.keyName && this.secrets ? this.secrets.get(this.settings.keyName) || '' : '';
+    }
+
+    // Перевірка сервера й ключа коротким тихим записом; apiKey — новий ключ до збереження
+    async test(apiKey = null) {
+        const startTime = Date.now();
+        try {
+            await this.transcribe(SpeechToText.createSilentWav(0.5), { filename: 'test.wav', apiKey: apiKey });
+            return { success: true, text: '', duration: Date.now() - startTime };
+        } catch (error) {
+            return { success: false, error: apiKey ? error.message.split(apiKey).join('••••') : error.message };
+        }
+    }
+
+    // WAV 16 кГц, 16 біт, моно з тишею
+    static createSilentWav(seconds) {
+        const sampleRate = 16000;
+        const dataSize = Math.round(sampleRate * seconds) * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+        const writeText = (offset, text) => [...text].forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
+        
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeText(36, 'data');
+        view.setUint32(40, dataSize, true);
+        return new Blob([view.buffer], { type: 'audio/wav' });
+    }
+
+    async transcribe(audio, options = {}) {
+        if (this.privacy) this.privacy.assertAllowed(this.settings.url);
+        const form = new FormData();
+        form.append('file', audio, options.filename || audio.name || 'audio.webm');
+        form.append('model', this.settings.model);
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'segment');
+        if (options.lang) form.append('language', options.lang);
+        
+        const headers = {};
+        const key = options.apiKey || this.getKey();
+        if (key) headers['Authorization'] = `Bearer ${key}`;
+        
+        const timeout = options.timeout || this.timeout;
+        let response;
+        try {
+            response = await HttpClient.fetchWithTimeout(this.settings.url, { method: 'POST', headers: headers, body: form }, options.signal || null, timeout);
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw HttpClient.createTimeoutError(`Whisper: сервер не відповів за ${Math.round(timeout / 1000)} с`);
+            }
+            throw error;
+        }
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => '')).slice(0, 200);
+            const message = `Whisper: HTTP ${response.status}${detail ? ` — ${detail}` : ''}`;
+            throw new Error(this.secrets ? this.secrets.redact(message) : message);
+        }
+        return SpeechToText.parseTranscription(await response.json());
+    }
+
+    // Сегменти з часом у секундах; відповідь без сегментів стає одним сегментом.
+    // Службові позначки whisper.cpp на кшталт [BLANK_AUDIO] відкидаються
+    static parseTranscription(data) {
+        const clean = text => (text || '').replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+        const segments = (Array.isArray(data.segments) ? data.segments : [])
+            .map(segment => ({ start: Number(segment.start) || 0, end: Number(segment.end) || 0, text: clean(segment.text) }))
+            .filter(segment => segment.text);
+        const text = clean(data.text) || segments.map(segment => segment.text).join(' ');
+        
+        if (!segments.length && text) {
+            segments.push({ start: 0, end: Number(data.duration) || 0, text: text });
+        }
+        return { text: text, segments: segments, language: data.language || null };
+    }
+}
+
+// Озвучення тексту через speechSynthesis з вибором голосу для кожної мови
+class SpeechPlayer {
+    constructor(options = {}) {
+        this.synth = typeof window !== 'undefined' ? window.speechSynthesis : null;
+        this.storageKey = options.storageKey || 'ttsSettings';
+        this.onSpeakingChange = options.onSpeakingChange || (() => {});
+        this.onError = options.onError || (() => {});
+        this.privacy = options.privacy || null;
+        this.settings = Object.assign(
+            { voices: {}, rate: 1, pitch: 1, autoSpeak: false },
+            JSON.parse(localStorage.getItem(this.storageKey)) || {}
+        );
+        this.speaking = false;
+    }
+
+    isSupported() {
+        return Boolean(this.synth);
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        this.saveSettings();
+    }
+
+    setVoice(lang, voiceURI) {
+        this.settings.voices[lang] = voiceURI;
+        this.saveSettings();
+    }
+
+    isLocalOnly() {
+        return Boolean(this.privacy && this.privacy.settings.localOnly);
+    }
+
+    // Голоси, що відповідають мові (uk → uk-UA тощо); мережеві голоси надсилають текст на сервер
+    // постачальника, тому в локальному режимі лишаються тільки голоси пристрою
+    getVoices(lang) {
+        if (!this.synth) return [];
+        return this.synth.getVoices().filter(voice => voice.lang.toLowerCase().startsWith(lang.toLowerCase()) &&
+            (!this.isLocalOnly() || voice.localService));
+    }
+
+    speak(text, lang) {
+        if (!this.synth || !text || !text.trim()) return;
+        
+        const voices = this.getVoices(lang);
+        const voice = voices.find(item => item.voiceURI === this.settings.voices[lang]) ||
+            (this.isLocalOnly() ? voices[0] : null);
+        // Без явного голосу браузер може вибрати мережевий
+        if (this.isLocalOnly() && !voice) {
+            const label = LANGUAGES[lang] ? LANGUAGES[lang].label : lang;
+            this.onError(`Локальний режим: немає голосу пристрою для ${label}, озвучення вимкнено`);
+            return;
+        }
+        
+        this.synth.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = LANGUAGES[lang] ? LANGUAGES[lang].locale : lang;
+        utterance.rate = this.settings.rate;
+        utterance.pitch = this.settings.pitch;
+        if (voice) utterance.voice = voice;
+        
+        utterance.onstart = () => this.setSpeaking(true);
+        utterance.onend = () => this.setSpeaking(this.synth.speaking);
+        utterance.onerror = (event) => {
+            if (event.error !== 'interrupted' && event.error !== 'canceled') {
+                console.error('Помилка озвучення:', event.error);
+            }
+            this.setSpeaking(this.synth.speaking);
+        };
+        
+        this.synth.speak(utterance);
+    }
+
+    stop() {
+        if (!this.synth) return;
+        this.synth.cancel();
+        this.setSpeaking(false);
+    }
+
+    setSpeaking(speaking) {
+        if (this.speaking === speaking) return;
+        this.speaking = speaking;
+        this.onSpeakingChange(speaking);
+    }
+}
+
+// Сховище секретів (API ключів): AES-GCM з ключем, похідним від пароля (PBKDF2), або лише пам'ять сеансу.
+// Відкриті значення ніколи не потрапляють у localStorage
+class SecretStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'encryptedSecrets';
+        this.modeKey = options.modeKey || 'secretStorageMode';
+        this.iterations = options.iterations || 250000;
+        this.mode = localStorage.getItem(this.modeKey) || 'encrypted';
+        this.secrets = {};
+        this.cryptoKey = null;
+        this.salt = null;
+    }
+
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    hasVault() {
+        return Boolean(localStorage.getItem(this.storageKey));
+    }
+
+    // Зашифроване сховище недоступне, доки не введено пароль
+    isLocked() {
+        return this.mode === 'encrypted' && !this.cryptoKey;
+    }
+
+    get(name) {
+        return this.secrets[name] || '';
+    }
+
+    getNames() {
+        return Object.keys(this.secrets).sort();
+    }
+
+    async deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: this.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Відкриває наявне сховище або створює нове з цим паролем
+    async unlock(passphrase) {
+        if (!passphrase) throw new Error('Введіть пароль сховища ключів');
+        
+        const vault = JSON.parse(localStorage.getItem(this.storageKey));
+        if (!vault) {
+            this.salt = crypto.getRandomValues(new Uint8Array(16));
+            this.cryptoKey = await this.deriveKey(passphrase, this.salt);
+            await this.persist();
+            return;
+        }
+        
+        const salt = SecretStore.fromBase64(vault.salt);
+        const key = await this.deriveKey(passphrase, salt);
+        let decrypted;
+        try {
+            decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: SecretStore.fromBase64(vault.iv) }, key, SecretStore.fromBase64(vault.data));
+        } catch (error) {
+            // AES-GCM не проходить перевірку автентичності з неправильним ключем
+            throw new Error('Неправильний пароль сховища ключів');
+        }
+        
+        this.salt = salt;
+        this.cryptoKey = key;
+        this.secrets = Object.assign(JSON.parse(new TextDecoder().decode(decrypted)), this.secrets);
+    }
+
+    lock() {
+        if (this.mode !== 'encrypted') return;
+        this.cryptoKey = null;
+        this.secrets = {};
+    }
+
+    async persist() {
+        if (this.mode !== 'encrypted') return;
+        if (!this.cryptoKey) throw new Error('Сховище ключів заблоковано');
+        
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, this.cryptoKey, new TextEncoder().encode(JSON.stringify(this.secrets)));
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            version: 1,
+            salt: SecretStore.toBase64(this.salt),
+            iv: SecretStore.toBase64(iv),
+            data: SecretStore.toBase64(new Uint8Array(data))
+        }));
+    }
+
+    async set(name, value) {
+        if (this.isLocked()) throw new Error('Сховище ключів заблоковано');
+        this.secrets[name] = value;
+        await this.persist();
+    }
+
+    async remove(name) {
+        if (this.isLocked()) throw new Error('Сховище ключів заблоковано');
+        delete this.secrets[name];
+        await this.persist();
+    }
+
+    // session: ключі лише в пам'яті до закриття вкладки; encrypted: потрібен пароль (passphrase)
+    async setMode(mode, passphrase = '') {
+        if (mode === this.mode) return;
+        
+        if (mode === 'session') {
+            // Заблоковані ключі ще не розшифровані в пам'ять: видалення сховища знищило б їх назавжди
+            if (this.isLocked() && this.hasVault()) throw new Error('Спершу розблокуйте сховище ключів');
+            localStorage.removeItem(this.storageKey);
+            this.cryptoKey = null;
+            this.mode = 'session';
+        } else {
+            const secrets = this.secrets;
+            this.mode = 'encrypted';
+            try {
+                localStorage.removeItem(this.storageKey);
+                this.secrets = secrets;
+                await this.unlock(passphrase);
+            } catch (error) {
+                this.mode = 'session';
+                throw error;
+            }
+        }
+        localStorage.setItem(this.modeKey, this.mode);
+    }
+
+    forgetAll() {
+        this.secrets = {};
+        this.cryptoKey = null;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // Маскування відомих секретів у тексті (журнали, повідомлення про помилки)
+    redact(text) {
+        if (typeof text !== 'string') return text;
+        return Object.values(this.secrets)
+            .filter(value => value && value.length >= 4)
+            .reduce((result, value) => result.split(value).join('••••'), text);
+    }
+
+    // Останні символи ключа для відображення в списку
+    mask(name) {
+        const value = this.get(name);
+        return value ? `••••${value.slice(-4)}` : '';
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Типи постачальників відповідей Q&A: побудова запиту й розбір потокової та звичайної відповіді
+const ANSWER_PROVIDER_TYPES = {
+    openai: {
+        label: 'OpenAI-сумісний (DeepSeek, OpenAI, llama.cpp)',
+        defaultUrl: 'https://api.openai.com/v1/chat/completions',
+        defaultModel: 'gpt-4o-mini',
+        requiresKey: true,
+        buildRequest: ({ messages, model, apiKey, maxTokens, stream }) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            return {
+                headers: headers,
+                body: { model: model, messages: messages, max_tokens: maxTokens, stream: stream }
+            };
+        },
+        // SSE: data: {"choices":[{"delta":{"content":"..."}}]} … data: [DONE]
+        parseStreamLine: (line) => {
+            if (!line.startsWith('data:')) return null;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return { done: true };
+            const data = JSON.parse(payload);
+            const delta = data.choices && data.choices[0] && data.choices[0].delta;
+            return { text: delta && delta.content ? delta.content : '' };
+        },
+        parseResponse: (data) => data.choices[0].message.content
+    },
+    anthropic: {
+        label: 'Anthropic Messages API',
+        defaultUrl: 'https://api.anthropic.com/v1/messages',
+        defaultModel: 'claude-3-5-haiku-latest',
+        requiresKey: true,
+        // Системні повідомлення передаються окремим полем system
+        buildRequest: ({ messages, model, apiKey, maxTokens, stream }) => ({
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: {
+                model: model,
+                max_tokens: maxTokens,
+                system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n'),
+                messages: messages.filter(message => message.role !== 'system'),
+                stream: stream
+            }
+        }),
+        parseStreamLine: (line) => {
+            if (!line.startsWith('data:')) return null;
+            const data = JSON.parse(line.slice(5).trim());
+            if (data.type === 'message_stop') return { done: true };
+            if (data.type === 'error') throw new Error(data.error ? data.error.message : 'Stream error');
+            return { text: data.type === 'content_block_delta' && data.delta.text ? data.delta.text : '' };
+        },
+        parseResponse: (data) => data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+    },
+    ollama: {
+        label: 'Ollama (локальна модель)',
+        defaultUrl: 'http://localhost:11434/api/chat',
+        defaultModel: 'llama3.1',
+        requiresKey: false,
+        buildRequest: ({ messages, model, maxTokens, stream }) => ({
+            headers: { 'Content-Type': 'application/json' },
+            body: { model: model, messages: messages, stream: stream, options: { num_predict: maxTokens } }
+        }),
+        // NDJSON: {"message":{"content":"..."},"done":false}
+        parseStreamLine: (line) => {
+            const data = JSON.parse(line);
+            if (data.error) throw new Error(data.error);
+            return { text: data.message ? data.message.content : '', done: Boolean(data.done) };
+        },
+        parseResponse: (data) => data.message.content
+    }
+};
+
+// Вбудований постачальник відповідей (старий ключ deepSeekApiKey переноситься в сховище ключів)
+const BUILTIN_ANSWER_PROVIDERS = [
+    { id: 'deepseek', name: 'DeepSeek', type: 'openai', url: 'https://api.deepseek.com/v1/chat/completions', model: 'deepseek-chat', keyName: '', enabled: true }
+];
+
+// Постачальники відповідей Q&A у порядку пріоритету з автоматичним перемиканням при збоях
+class AnswerProviders {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'answerProviders';
+        this.timeout = options.timeout || 60000;
+        this.streamIdleTimeout = options.streamIdleTimeout || 30000;
+        this.secrets = options.secrets || null;
+        this.privacy = options.privacy || null;
+        this.circuits = {};
+        // Ключі зі старих налаштувань, які ще не можна записати в сховище (не задано пароль):
+        // лише в пам'яті, щоб не лишати їх на диску відкритим текстом
+        this.pendingKeys = {};
+        this.providers = this.load();
+        this.providers.forEach(provider => this.ensureCircuit(provider));
+    }
+
+    load() {
+        // Пошкоджені налаштування не повинні зупиняти запуск: тоді — як перший запуск
+        const saved = AnswerProviders.readJson(this.storageKey, 'постачальників відповідей');
+        if (Array.isArray(saved)) {
+            const plaintext = saved.filter(provider => provider.apiKey);
+            plaintext.forEach(provider => {
+                this.pendingKeys[provider.id] = provider.apiKey;
+                delete provider.apiKey;
+            });
+            if (plaintext.length) localStorage.setItem(this.storageKey, JSON.stringify(saved));
+            return saved;
+        }
+        
+        // Перший запуск: ключ і модель з попередніх налаштувань Q&A
+        const legacySettings = AnswerProviders.readJson('qaSettings', 'налаштувань Q&A') || {};
+        const providers = BUILTIN_ANSWER_PROVIDERS.map(provider => Object.assign({}, provider));
+        const legacyKey = localStorage.getItem('deepSeekApiKey');
+        if (legacyKey) this.pendingKeys[providers[0].id] = legacyKey;
+        if (legacySettings.endpoint) providers[0].url = legacySettings.endpoint;
+        if (legacySettings.model) providers[0].model = legacySettings.model;
+        localStorage.setItem(this.storageKey, JSON.stringify(providers));
+        localStorage.removeItem('deepSeekApiKey');
+        return providers;
+    }
+
+    static readJson(key, label) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            console.warn(`Помилка завантаження ${label}:`, error);
+            return null;
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.providers));
+    }
+
+    ensureCircuit(provider) {
+        if (!this.circuits[provider.id]) {
+            this.circuits[provider.id] = new CircuitBreaker(provider.name);
+        }
+        return this.circuits[provider.id];
+    }
+
+    get(id) {
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+
+    // Створення або оновлення постачальника; повертає збережений запис
+    upsert(definition) {
+        const type = ANSWER_PROVIDER_TYPES[definition.type];
+        if (!type) throw new Error(`Невідомий тип постачальника: ${definition.type}`);
+        if (!definition.name) throw new Error('Вкажіть назву постачальника');
+        
+        const existing = definition.id ? this.get(definition.id) : null;
+        const provider = Object.assign(existing || { id: `provider-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, enabled: true }, {
+            name: definition.name,
+            type: definition.type,
+            url: definition.url || type.defaultUrl,
+            model: definition.model || type.defaultModel,
+            keyName: definition.keyName || ''
+        });
+        if (provider.keyName) {
+            delete provider.apiKey;
+            delete this.pendingKeys[provider.id];
+        }
+        
+        if (!existing) this.providers.push(provider);
+        // Нові налаштування — новий шанс для вимкненого постачальника
+        this.ensureCircuit(provider).reset();
+        this.circuits[provider.id].name = provider.name;
+        this.save();
+        return provider;
+    }
+
+    remove(id) {
+        this.providers = this.providers.filter(provider => provider.id !== id);
+        delete this.circuits[id];
+        this.save();
+    }
+
+    setEnabled(id, enabled) {
+        const provider = this.get(id);
+        if (!provider) return;
+        provider.enabled = enabled;
+        this.save();
+    }
+
+    move(id, offset) {
+        const index = this.providers.findIndex(provider => provider.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.providers.length) return;
+        
+        const [provider] = this.providers.splice(index, 1);
+        this.providers.splice(target, 0, provider);
+        this.save();
+    }
+
+    getProviderKey(provider) {
+        if (provider.keyName) return this.secrets ? this.secrets.get(provider.keyName) : '';
+        return provider.apiKey || this.pendingKeys[provider.id] || '';
+    }
+
+    // Локальний сервер (Ollama, llama.cpp) працює без ключа
+    isConfigured(provider) {
+        if (this.getProviderKey(provider) || !ANSWER_PROVIDER_TYPES[provider.type].requiresKey) return true;
+        return PrivacyFilter.isLocalUrl(provider.url);
+    }
+
+    isAllowed(provider) {
+        return !this.privacy || this.privacy.isAllowedUrl(provider.url);
+    }
+
+    getAvailable() {
+        return this.providers.filter(provider => provider.enabled && this.isConfigured(provider) && this.isAllowed(provider));
+    }
+
+    getStatus() {
+        return this.providers.map(provider => Object.assign({}, provider, {
+            configured: this.isConfigured(provider),
+            blocked: !this.isAllowed(provider),
+            circuit: this.ensureCircuit(provider).getStatus()
+        }));
+    }
+
+    // Перемикання на наступного постачальника можливе лише до першого фрагмента відповіді
+    async complete(messages, { signal, onDelta, maxTokens }) {
+        const available = this.getAvailable();
+        if (!available.length && this.privacy && this.privacy.settings.localOnly) {
+            throw new Error('Локальний режим: немає постачальників відповідей на localhost. Додайте локальну модель у налаштуваннях API.');
+        }
+        if (!available.length) {
+            throw new Error('Немає налаштованих постачальників відповідей. Додайте ключ або локальну модель у налаштуваннях API.');
+        }
+        
+        let lastError = null;
+        for (const provider of available) {
+            const circuit = this.ensureCircuit(provider);
+            if (!circuit.acquire()) continue;
+            
+            let streamed = false;
+            try {
+                await this.request(provider, messages, { signal, maxTokens }, (delta) => {
+                    streamed = true;
+                    onDelta(delta);
+                });
+                circuit.recordSuccess();
+                return provider;
+            } catch (error) {
+                if (error.name === 'AbortError' && signal && signal.aborted) {
+                    circuit.release();
+                    throw error;
+                }
+                
+                circuit.recordFailure(error);
+                lastError = error;
+                console.warn(`Постачальник відповідей ${provider.name} не відповів:`, this.redact(error.message));
+                if (streamed) throw error;
+            }
+        }
+        
+        throw lastError || new Error('Усі постачальники відповідей тимчасово недоступні');
+    }
+
+    redact(text) {
+        return this.secrets ? this.secrets.redact(text) : text;
+    }
+
+    // Перевірка з'єднання коротким запитом поза чергою пріоритетів; apiKey — перевірка нового ключа до збереження
+    async test(id, apiKey = null) {
+        const stored = this.get(id);
+        if (!stored) throw new Error(`Невідомий постачальник: ${id}`);
+        const provider = apiKey === null ? stored : Object.assign({}, stored, { keyName: '', apiKey: apiKey });
+        // Заблокований запит не рахується збоєм постачальника
+        if (!this.isAllowed(provider)) {
+            return { success: false, error: `Локальний режим: запит до ${provider.name} заблоковано` };
+        }
+        
+        // Перевірка нового ключа не впливає на вимикач: хибний кандидат не вимикає робочого постачальника
+        const circuit = apiKey === null ? this.ensureCircuit(stored) : null;
+        const startTime = Date.now();
+        let text = '';
+        try {
+            await this.request(provider, [{ role: 'user', content: 'Reply with the single word: pong' }], { maxTokens: 10 }, (delta) => {
+                text += delta;
+            });
+            if (circuit) circuit.recordSuccess();
+            return { success: true, text: text.trim(), duration: Date.now() - startTime };
+        } catch (error) {
+            if (circuit) circuit.recordFailure(error);
+            const message = apiKey ? error.message.split(apiKey).join('••••') : error.message;
+            return { success: false, error: this.redact(message) };
+        }
+    }
+
+    async request(provider, messages, { signal, maxTokens }, onDelta) {
+        if (this.privacy) this.privacy.assertAllowed(provider.url);
+        const type = ANSWER_PROVIDER_TYPES[provider.type];
+        const request = type.buildRequest({
+            messages: messages,
+            model: provider.model,
+            apiKey: this.getProviderKey(provider),
+            maxTokens: maxTokens,
+            stream: true
+        });
+        
+        // Тайм-аут до початку відповіді; під час генерації — тайм-аут очікування наступного фрагмента
+        let response;
+        try {
+            response = await HttpClient.fetchWithTimeout(provider.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body)
+            }, signal, this.timeout);
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw HttpClient.createTimeoutError(`Тайм-аут: ${provider.name} не відповів за ${Math.round(this.timeout / 1000)} с`);
+            }
+            throw error;
+        }
+        
+        if (!response.ok) throw HttpClient.createHttpError(response);
+        
+        // Сервер може проігнорувати stream і повернути звичайний JSON
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!response.body || (contentType.includes('application/json') && provider.type !== 'ollama')) {
+            onDelta(type.parseResponse(await response.json()));
+            return;
+        }
+        
+        await this.readStream(response, type, onDelta, provider);
+    }
+
+    // Потік, що завис після заголовків, обривається, якщо фрагменти не надходять streamIdleTimeout мс
+    async readStream(response, type, onDelta, provider) {
+        const reader = response.body.getReader();
+        const read = () => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reader.cancel().catch(() => {});
+                reject(HttpClient.createTimeoutError(`Тайм-аут: ${provider.name} перестав надсилати відповідь на ${Math.round(this.streamIdleTimeout / 1000)} с`));
+            }, this.streamIdleTimeout);
+            reader.read().then(resolve, reject).finally(() => clearTimeout(timer));
+        });
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        const handleLine = (line) => {
+            const trimmed = line.trim();
+            if (!trimmed) return false;
+            const event = type.parseStreamLine(trimmed);
+            if (!event) return false;
+            if (event.text) onDelta(event.text);
+            return Boolean(event.done);
+        };
+        
+        while (true) {
+            const { value, done } = await read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (handleLine(line)) {
+                    reader.cancel();
+                    return;
+                }
+            }
+        }
+        handleLine(buffer);
+    }
+}
+
+// Діалог Q&A з моделлю: потокові (SSE) відповіді, попередні репліки й транскрипт як контекст, історія запитань
+class QAThread {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'qaHistory';
+        this.settingsKey = options.settingsKey || 'qaSettings';
+        this.maxHistory = options.maxHistory || 50;
+        this.providers = options.providers;
+        this.privacy = options.privacy || null;
+        this.settings = Object.assign(
+            {
+                systemPrompt: '',
+                maxTokens: 800,
+                contextTurns: 6,
+                transcriptChars: 2000
+            },
+            AnswerProviders.readJson(this.settingsKey, 'налаштувань Q&A') || {}
+        );
+        const turns = AnswerProviders.readJson(this.storageKey, 'історії Q&A');
+        this.turns = Array.isArray(turns) ? turns : [];
+        this.controller = null;
+    }
+
+    updateSettings(changes) {
+        Object.assign(this.settings, changes);
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    save() {
+        // Незавершені відповіді не зберігаються як готові
+        const turns = this.turns.slice(-this.maxHistory).map(turn =>
+            turn.status === 'streaming' ? Object.assign({}, turn, { status: 'stopped' }) : turn
+        );
+        localStorage.setItem(this.storageKey, JSON.stringify(turns));
+    }
+
+    isBusy() {
+        return Boolean(this.controller);
+    }
+
+    // Повторне розпізнавання того самого запитання не створює нову репліку
+    isDuplicate(question) {
+        const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        const last = this.turns[this.turns.length - 1];
+        return Boolean(last) && normalize(last.question) === normalize(question);
+    }
+
+    // system → транскрипт → останні завершені репліки → нове запитання
+    buildMessages(question, { defaultPrompt = '', transcript = '', excludeTurn = null } = {}) {
+        const messages = [{ role: 'system', content: this.settings.systemPrompt.trim() || defaultPrompt }];
+        
+        const recentTranscript = transcript.trim().slice(-this.settings.transcriptChars);
+        if (recentTranscript) {
+            messages.push({ role: 'system', content: `Recent conversation transcript for context:\n${recentTranscript}` });
+        }
+        
+        this.turns
+            .filter(turn => turn !== excludeTurn && turn.status === 'done' && turn.answer)
+            .slice(-this.settings.contextTurns)
+            .forEach(turn => {
+                messages.push({ role: 'user', content: turn.question });
+                messages.push({ role: 'assistant', content: turn.answer });
+            });
+        
+        messages.push({ role: 'user', content: question });
+        return messages;
+    }
+
+    ask(question, options = {}) {
+        // Кілька запитань з одного файлу створюються в ту саму мілісекунду
+        const turn = {
+            id: SessionHistory.createId(),
+            question: question,
+            answer: '',
+            lang: options.lang || null,
+            status: 'streaming',
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+        this.turns.push(turn);
+        if (this.turns.length > this.maxHistory) this.turns.shift();
+        
+        return this.run(turn, options);
+    }
+
+    // Повторна генерація останньої відповіді з тим самим контекстом
+    regenerate(options = {}) {
+        const turn = this.turns[this.turns.length - 1];
+        if (!turn) return Promise.resolve(null);
+        
+        turn.answer = '';
+        turn.error = null;
+        turn.status = 'streaming';
+        return this.run(turn, options);
+    }
+
+    async run(turn, options) {
+        this.stop();
+        const controller = new AbortController();
+        this.controller = controller;
+        const onUpdate = options.onUpdate || (() => {});
+        onUpdate(turn);
+        
+        try {
+            // Запитання, контекст і історія приховуються спільними плейсхолдерами;
+            // у відповіді вони замінюються назад, тож локально видно оригінальні значення
+            const redaction = this.privacy ? this.privacy.createContext('qa') : null;
+            const messages = this.buildMessages(turn.question, Object.assign({}, options, { excludeTurn: turn }))
+                .map(message => (redaction ? Object.assign({}, message, { content: this.privacy.redact(message.content, redaction) }) : message));
+            let raw = '';
+            const provider = await this.providers.complete(messages, {
+                signal: controller.signal,
+                maxTokens: this.settings.maxTokens,
+                onDelta: (delta) => {
+                    raw += delta;
+                    turn.answer = redaction ? this.privacy.restore(raw, redaction).text : raw;
+                    onUpdate(turn);
+                }
+            });
+            turn.provider = provider.name;
+            turn.status = 'done';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                turn.status = 'stopped';
+            } else {
+                turn.status = 'error';
+                turn.error = error.message;
+            }
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+        
+        this.save();
+        onUpdate(turn);
+        return turn;
+    }
+
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    clear() {
+        this.stop();
+        this.turns = [];
+        this.save();
+    }
+}
+
+// Безпечний рендер Markdown для відповідей моделі: весь текст екранується, сирий HTML не пропускається,
+// посилання — лише http(s) і mailto
+const CODE_KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default', 'delete',
+    'do', 'elif', 'else', 'except', 'export', 'extends', 'false', 'False', 'finally', 'fn', 'for', 'from',
+    'func', 'function', 'if', 'import', 'in', 'int', 'interface', 'lambda', 'let', 'new', 'None', 'null',
+    'private', 'public', 'return', 'self', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true',
+    'True', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield',
+    'SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 'JOIN', 'ORDER', 'GROUP', 'BY'
+]);
+
+class MarkdownRenderer {
+    render(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let i = 0;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            
+            // Блок коду; незакритий блок (під час потокової відповіді) триває до кінця тексту
+            const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html.push(this.renderCodeBlock(code.join('\n'), fence[2]));
+                continue;
+            }
+            
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+            
+            // [^\n] замість «.»: U+2028/U+2029 у відповіді моделі мають потрапити в заголовок чи пункт,
+            // інакше рядок, який isBlockStart вважає початком блоку, не обробить жодна гілка
+            const heading = line.match(/^(#{1,6})\s+([^\n]*)$/);
+            if (heading) {
+                const level = Math.min(heading[1].length + 2, 6);
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+            
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+            
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.render(quote.join('\n'))}</blockquote>`);
+                continue;
+            }
+            
+            if (this.isTableStart(lines, i)) {
+                const rows = [];
+                while (i < lines.length && lines[i].includes('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows));
+                continue;
+            }
+            
+            const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+            if (listMatch) {
+                const ordered = /\d/.test(listMatch[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+([^\n]*)$/);
+                    if (item && /\d/.test(item[1]) === ordered) {
+                        items.push(item[2]);
+                    } else if (items.length && /^\s{2,}\S/.test(lines[i])) {
+                        // Продовження попереднього пункту
+                        items[items.length - 1] += ' ' + lines[i].trim();
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${tag}>`);
+                continue;
+            }
+            
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !this.isBlockStart(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            // Рядок, який не розпізнала жодна гілка, виводиться як текст, щоб цикл завжди просувався
+            if (!paragraph.length) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            html.push(`<p>${paragraph.map(part => this.renderInline(part)).join('<br>')}</p>`);
+        }
+        
+        return html.join('\n');
+    }
+
+    isBlockStart(lines, index) {
+        const line = lines[index];
+        return /^\s*(```|~~~)/.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            /^\s*([-*+]|\d+[.)])\s+/.test(line) ||
+            this.isTableStart(lines, index);
+    }
+
+    // Таблиця: рядок заголовка з | і рядок-роздільник |---|---|
+    isTableStart(lines, index) {
+        return lines[index].includes('|') &&
+            index + 1 < lines.length &&
+            /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[index + 1]);
+    }
+
+    renderTable(rows) {
+        const splitRow = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        const header = splitRow(rows[0]);
+        const body = rows.slice(2).map(splitRow);
+        
+        return `<table><thead><tr>${header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${body.map(row => `<tr>${header.map((_, index) => `<td>${this.renderInline(row[index] || '')}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    }
+
+    renderCodeBlock(code, lang) {
+        const label = lang ? `<span class="code-lang">${escapeHtml(lang)}</span>` : '';
+        return `<div class="code-block"><div class="code-header">${label}` +
+            '<button type="button" class="code-copy" title="Копіювати код"><i class="material-icons">content_copy</i></button></div>' +
+            `<pre><code>${this.highlight(code)}</code></pre></div>`;
+    }
+
+    // Спрощене підсвічування: коментарі, рядки, числа та ключові слова поширених мов
+    highlight(code) {
+        const tokenPattern = /(\/\*[\s\S]*?\*\/|\/\/[^\n]*|(?<!\S)#[^\n]*|(?<!\S)--\s[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+        let result = '';
+        let lastIndex = 0;
+        let match;
+        
+        while ((match = tokenPattern.exec(code)) !== null) {
+            result += escapeHtml(code.slice(lastIndex, match.index));
+            const token = escapeHtml(match[0]);
+            if (match[1]) {
+                result += `<span class="hl-comment">${token}</span>`;
+            } else if (match[2]) {
+                result += `<span class="hl-string">${token}</span>`;
+            } else if (match[3]) {
+                result += `<span class="hl-number">${token}</span>`;
+            } else if (CODE_KEYWORDS.has(match[4])) {
+                result += `<span class="hl-keyword">${token}</span>`;
+            } else {
+                result += token;
+            }
+            lastIndex = tokenPattern.lastIndex;
+        }
+        return result + escapeHtml(code.slice(lastIndex));
+    }
+
+    // Код, посилання й виділення; усе інше — екранований текст
+    renderInline(text) {
+        const pattern = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|~~([^~]+)~~/g;
+        let result = '';
+        let lastIndex = 0;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            result += escapeHtml(text.slice(lastIndex, match.index));
+            if (match[1] !== undefined) {
+                result += `<code>${escapeHtml(match[1])}</code>`;
+            } else if (match[2] !== undefined) {
+                const url = this.sanitizeUrl(match[3]);
+                result += url
+                    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.renderInline(match[2])}</a>`
+                    : this.renderInline(match[2]);
+            } else if (match[4] !== undefined || match[5] !== undefined) {
+                result += `<strong>${this.renderInline(match[4] !== undefined ? match[4] : match[5])}</strong>`;
+            } else if (match[6] !== undefined) {
+                result += `<em>${this.renderInline(match[6])}</em>`;
+            } else {
+                result += `<del>${this.renderInline(match[7])}</del>`;
+            }
+            lastIndex = pattern.lastIndex;
+        }
+        return result + escapeHtml(text.slice(lastIndex));
+    }
+
+    sanitizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Пороги впевненості для налаштування чутливості детектора запитань
+const QUESTION_SENSITIVITY_THRESHOLDS = {
+    low: 0.8,
+    medium: 0.6,
+    high: 0.4
+};
+
+// Скорочення, після яких крапка не завершує речення
+const SENTENCE_ABBREVIATIONS = ['mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'e.g.', 'i.e.', 'etc.', 'vs.', 'т.д.', 'т.п.', 'напр.', 'z.b.', 'np.', 'itp.'];
+
+// Детектор запитань: ділить текст на речення й оцінює їхню питальну структуру за правилами мови
+// (знак питання, інверсія допоміжного дієслова, питальне слово на початку речення, частка, розділове запитання)
+class QuestionDetector {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'questionSensitivity';
+        this.sensitivity = localStorage.getItem(this.storageKey) || 'medium';
+        this.maxAnswered = options.maxAnswered || 200;
+        this.answered = new Set();
+    }
+
+    setSensitivity(sensitivity) {
+        if (!QUESTION_SENSITIVITY_THRESHOLDS[sensitivity]) return;
+        this.sensitivity = sensitivity;
+        localStorage.setItem(this.storageKey, sensitivity);
+    }
+
+    getThreshold() {
+        return QUESTION_SENSITIVITY_THRESHOLDS[this.sensitivity];
+    }
+
+    // Речення разом із завершальною пунктуацією; terminated = false для незавершеного останнього
+    segment(text) {
+        const sentences = [];
+        const pattern = /[\s\S]+?(?:[.!?…]+["»”)]*(?=\s|$)|\n|$)/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            if (!match[0]) break;
+            const sentence = match[0].trim();
+            if (!sentence) continue;
+            
+            const previous = sentences[sentences.length - 1];
+            const lastWord = previous ? previous.text.split(/\s+/).pop().toLowerCase() : '';
+            if (previous && SENTENCE_ABBREVIATIONS.includes(lastWord)) {
+                previous.text += ' ' + sentence;
+                previous.terminated = /[.!?…]["»”)]*$/.test(sentence);
+            } else {
+                sentences.push({ text: sentence, terminated: /[.!?…]["»”)]*$/.test(sentence) });
+            }
+        }
+        return sentences;
+    }
+
+    // Оцінка від 0 до 1 і список спрацьованих правил
+    score(sentence, lang) {
+        const rules = LANGUAGES[lang] ? LANGUAGES[lang].questionRules : null;
+        const text = sentence.trim();
+        const lower = text.toLowerCase();
+        const reasons = [];
+        let score = 0;
+        
+        const add = (value, reason) => {
+            reasons.push(reason);
+            score = Math.max(score, value);
+        };
+        
+        if (/\?["»”)]*$/.test(text)) add(0.95, 'question-mark');
+        if (!rules) return { score, reasons };
+        
+        // Початок кожної клаузи: початок речення або після коми, крапки з комою, тире
+        const clauses = lower.split(/[,;:—–]\s*/);
+        clauses.forEach((clause, index) => {
+            const words = clause.match(/[\p{L}'’-]+/gu) || [];
+            if (!words.length) return;
+            const [first, second] = words;
+            const atStart = index === 0;
+            
+            if (atStart && rules.particles.includes(first)) {
+                add(0.85, 'particle');
+            }
+            
+            if (atStart && rules.auxiliaries.includes(first)) {
+                const imperative = rules.imperatives.some(phrase => clause === phrase || clause.startsWith(phrase + ' '));
+                if (second && rules.subjects.includes(second) && !imperative) {
+                    add(0.8, 'auxiliary-inversion');
+                } else {
+                    add(0.45, 'leading-auxiliary');
+                }
+            }
+            
+            if (rules.whWords.includes(first)) {
+                if (second && rules.auxiliaries.includes(second)) {
+                    add(atStart ? 0.8 : 0.6, 'wh-auxiliary');
+                } else if (second && rules.subjects.includes(second) && (rules.auxiliaries.length || clauses.length > 1)) {
+                    // «What I mean is…», «Коли я прийшов, …» — підрядне речення, а не запитання
+                    add(0.3, 'wh-clause');
+                } else {
+                    add(atStart ? 0.65 : 0.5, 'wh-word');
+                }
+            }
+        });
+        
+        rules.patterns.forEach(rule => {
+            if (rule.pattern.test(lower)) add(rule.score, rule.reason);
+        });
+        
+        return { score, reasons };
+    }
+
+    // Лише речення-запитання, оцінка яких досягає порогу чутливості
+    detect(text, lang, options = {}) {
+        const threshold = this.getThreshold();
+        
+        return this.segment(text)
+            .filter(sentence => sentence.terminated || options.includeUnterminated)
+            .map(sentence => Object.assign({ text: sentence.text }, this.score(sentence.text, lang)))
+            .filter(result => result.score >= threshold);
+    }
+
+    normalize(question) {
+        return question.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    isAnswered(question) {
+        return this.answered.has(this.normalize(question));
+    }
+
+    markAnswered(question) {
+        this.answered.add(this.normalize(question));
+        if (this.answered.size > this.maxAnswered) {
+            this.answered.delete(this.answered.values().next().value);
+        }
+    }
+
+    reset() {
+        this.answered.clear();
+    }
+}
+
+// Частка браузерної квоти, після якої найстаріші аудіозаписи видаляються, і запас на початку фрази:
+// розпізнавання фіксує початок висловлювання трохи пізніше, ніж його чути в записі
+const AUDIO_QUOTA_RATIO = 0.8;
+const AUDIO_LEAD_MS = 500;
+
+// Історія сесій в IndexedDB: сесії (назва, мовна пара, відповіді Q&A), записи журналу голосу та аудіо окремо,
+// тому новий запис не переписує всю історію
+class SessionHistory {
+    constructor(options = {}) {
+        this.sessions = new IndexedDbStore('voiceInputHistory', 'sessions', { keyPath: 'id', indexes: ['updatedAt'] });
+        this.entries = new IndexedDbStore('voiceInputHistoryEntries', 'entries', { keyPath: 'id', indexes: ['sessionId', 'createdAt'] });
+        this.audio = new IndexedDbStore('voiceInputHistoryAudio', 'recordings', { keyPath: 'id', indexes: ['sessionId', 'startedAt'] });
+        this.currentKey = options.currentKey || 'currentHistorySession';
+        this.legacyKey = options.legacyKey || 'voiceLog';
+        this.currentSessionId = localStorage.getItem(this.currentKey);
+        this.sessionWrites = Promise.resolve();
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // Перенесення старого журналу з localStorage і вибір поточної сесії
+    async init(languagePair) {
+        await this.migrateFromLocalStorage(languagePair);
+        
+        const current = this.currentSessionId ? await this.sessions.get(this.currentSessionId) : null;
+        if (!current) {
+            const sessions = await this.getSessions();
+            if (sessions.length) {
+                this.setCurrent(sessions[0].id);
+            } else {
+                await this.createSession(languagePair);
+            }
+        }
+        return this.currentSessionId;
+    }
+
+    async migrateFromLocalStorage(languagePair) {
+        const legacy = JSON.parse(localStorage.getItem(this.legacyKey));
+        if (!Array.isArray(legacy) || !legacy.length) return 0;
+        
+        const session = await this.createSession(languagePair, 'Журнал з попередньої версії');
+        // Старі записи мали лише час без дати: зберігаємо порядок, датуючи їх моментом міграції
+        const migratedAt = Date.now();
+        const entries = legacy.slice().reverse().map((item, index) => {
+            const entry = typeof item === 'string' ? { text: item, translation: '' } : item;
+            return Object.assign({}, entry, {
+                id: entry.id || SessionHistory.createId(),
+                translation: entry.translation || '',
+                createdAt: entry.createdAt || new Date(migratedAt - (legacy.length - index) * 1000).toISOString(),
+                sourceLang: entry.sourceLang || languagePair.sourceLang,
+                targetLang: entry.targetLang || languagePair.targetLang
+            });
+        });
+        
+        for (const entry of entries) {
+            await this.addEntry(session.id, entry);
+        }
+        // Якщо IndexedDB недоступна, старий журнал залишається на місці
+        if (await this.sessions.get(session.id)) localStorage.removeItem(this.legacyKey);
+        return entries.length;
+    }
+
+    setCurrent(sessionId) {
+        this.currentSessionId = sessionId;
+        localStorage.setItem(this.currentKey, sessionId);
+    }
+
+    async createSession(languagePair, name = null) {
+        const now = new Date();
+        const session = {
+            id: SessionHistory.createId(),
+            name: name || `Сесія ${now.toLocaleString()}`,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            sourceLang: languagePair.sourceLang,
+            targetLang: languagePair.targetLang,
+            entryCount: 0,
+            answers: []
+        };
+        await this.sessions.put(session);
+        this.setCurrent(session.id);
+        return session;
+    }
+
+    async getSessions() {
+        const sessions = await this.sessions.getAll() || [];
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    getSession(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    // Читання й запис сесії — окремі транзакції, тому зміни виконуються по черзі, інакше паралельні губляться.
+    // changes — об'єкт або функція (session) => зміни, обчислена вже в черзі
+    updateSession(sessionId, changes) {
+        const write = this.sessionWrites.then(async () => {
+            const session = await this.sessions.get(sessionId);
+            if (!session) return null;
+            
+            const values = typeof changes === 'function' ? await changes(session) : changes;
+            Object.assign(session, values, { updatedAt: new Date().toISOString() });
+            await this.sessions.put(session);
+            return session;
+        });
+        this.sessionWrites = write.catch(() => {});
+        return write;
+    }
+
+    renameSession(sessionId, name) {
+        return this.updateSession(sessionId, { name: name });
+    }
+
+    async deleteSession(sessionId) {
+        await this.entries.deleteByIndex('sessionId', sessionId);
+        await this.audio.deleteByIndex('sessionId', sessionId);
+        await this.sessions.delete(sessionId);
+        if (this.currentSessionId === sessionId) {
+            this.currentSessionId = null;
+            localStorage.removeItem(this.currentKey);
+        }
+    }
+
+    // Записи сесії від старіших до новіших
+    async getEntries(sessionId) {
+        const entries = await this.entries.getAllByIndex('sessionId', sessionId) || [];
+        return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async addEntry(sessionId, entry) {
+        const record = Object.assign({}, entry, { sessionId: sessionId });
+        await this.entries.put(record);
+        
+        // Лічильник береться з індексу, а не збільшується на одиницю
+        await this.updateSession(sessionId, async () => ({
+            entryCount: await this.entries.countByIndex('sessionId', sessionId) || 0,
+            sourceLang: record.sourceLang,
+            targetLang: record.targetLang
+        }));
+        return record;
+    }
+
+    // Оновлення запису (переклад, виправлення) без зміни лічильника сесії
+    updateEntry(entry) {
+        return this.entries.put(entry);
+    }
+
+    async clearEntries(sessionId) {
+        await this.entries.deleteByIndex('sessionId', sessionId);
+        await this.audio.deleteByIndex('sessionId', sessionId);
+        await this.updateSession(sessionId, { entryCount: 0 });
+    }
+
+    // Аудіозаписи сесії від старіших до новіших
+    async getRecordings(sessionId) {
+        const recordings = await this.audio.getAllByIndex('sessionId', sessionId) || [];
+        return recordings.sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    deleteRecordings(sessionId) {
+        return this.audio.deleteByIndex('sessionId', sessionId);
+    }
+
+    // Збереження аудіо з урахуванням квоти; повертає записи, видалені, щоб звільнити місце
+    async addRecording(recording) {
+        const evicted = await this.ensureAudioSpace(recording.size, recording.sessionId);
+        try {
+            await this.audio.put(recording);
+        } catch (error) {
+            if (!error || error.name !== 'QuotaExceededError') throw error;
+            evicted.push(...await this.evictRecordings(recording.size, recording.sessionId));
+            await this.audio.put(recording);
+        }
+        return evicted;
+    }
+
+    async ensureAudioSpace(bytes, sessionId) {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return [];
+        
+        const estimate = await navigator.storage.estimate();
+        if (!estimate.quota) return [];
+        
+        const excess = (estimate.usage || 0) + bytes - estimate.quota * AUDIO_QUOTA_RATIO;
+        return excess > 0 ? this.evictRecordings(excess, sessionId) : [];
+    }
+
+    // Найстаріші записи видаляються першими, записи поточної сесії — в останню чергу
+    async evictRecordings(bytes, sessionId) {
+        const recordings = await this.audio.getAll() || [];
+        recordings.sort((a, b) => (a.sessionId === sessionId) - (b.sessionId === sessionId) || a.startedAt - b.startedAt);
+        
+        const evicted = [];
+        let freed = 0;
+        for (const recording of recordings) {
+            if (freed >= bytes && evicted.length) break;
+            await this.audio.delete(recording.id);
+            evicted.push(recording);
+            freed += recording.size || 0;
+        }
+        return evicted;
+    }
+
+    // Відповідь Q&A зберігається в сесії; повторна генерація замінює попередню
+    async saveAnswer(sessionId, answer) {
+        await this.updateSession(sessionId, (session) => {
+            const answers = (session.answers || []).filter(item => item.id !== answer.id);
+            answers.push(answer);
+            return { answers: answers };
+        });
+    }
+
+    // Пошук без урахування регістру в оригіналі, перекладі та відповідях усіх сесій
+    async search(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [];
+        
+        const [sessions, entries] = await Promise.all([this.getSessions(), this.entries.getAll()]);
+        const sessionsById = new Map(sessions.map(session => [session.id, session]));
+        const matches = text => Boolean(text) && text.toLowerCase().includes(needle);
+        
+        const entryResults = (entries || [])
+            .filter(entry => sessionsById.has(entry.sessionId) && (matches(entry.text) || matches(entry.translation)))
+            .map(entry => ({ session: sessionsById.get(entry.sessionId), original: entry.text, translation: entry.translation, createdAt: entry.createdAt }));
+        
+        const answerResults = [];
+        sessions.forEach(session => (session.answers || []).forEach(answer => {
+            if (matches(answer.question) || matches(answer.answer)) {
+                answerResults.push({ session: session, original: answer.question, translation: answer.answer, createdAt: answer.createdAt, answer: true });
+            }
+        }));
+        
+        return entryResults.concat(answerResults).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+// Кількість варіантів розпізнавання, які запитуються в браузера, і поріг низької впевненості сегмента
+const RECOGNITION_MAX_ALTERNATIVES = 5;
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+// Скільки однакових виправлень потрібно, щоб фраза замінювалась у результатах без підказки розпізнавача
+const PHRASE_REWRITE_MIN_COUNT = 3;
+
+// Персональний список виправлень розпізнавання (почуте → правильне) для кожної мови.
+// Виправлення піднімають варіанти з уже виправленими фразами; замінюють текст лише повторені виправлення
+// або ті, що є серед варіантів розпізнавання
+class PhraseList {
+    constructor(storageKey = 'recognitionPhrases') {
+        this.storageKey = storageKey;
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            this.entries = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Помилка завантаження списку виправлень:', error);
+            this.entries = [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Змінена частина виправлення: спільні слова на початку й у кінці відкидаються
+    static diff(before, after) {
+        const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const beforeWords = before.trim().split(/\s+/);
+        const afterWords = after.trim().split(/\s+/);
+        
+        let prefix = 0;
+        while (prefix < beforeWords.length && prefix < afterWords.length &&
+            normalize(beforeWords[prefix]) === normalize(afterWords[prefix])) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < beforeWords.length - prefix && suffix < afterWords.length - prefix &&
+            normalize(beforeWords[beforeWords.length - 1 - suffix]) === normalize(afterWords[afterWords.length - 1 - suffix])) {
+            suffix++;
+        }
+        
+        const strip = words => words.join(' ').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        return {
+            heard: strip(beforeWords.slice(prefix, beforeWords.length - suffix)),
+            corrected: strip(afterWords.slice(prefix, afterWords.length - suffix))
+        };
+    }
+
+    // Додавання чи видалення слів без заміни нічого не навчає
+    learn(before, after, lang) {
+        const change = PhraseList.diff(before, after);
+        if (!change.heard || !change.corrected || change.heard.toLowerCase() === change.corrected.toLowerCase()) return null;
+        
+        let entry = this.entries.find(existing => existing.lang === lang && existing.heard.toLowerCase() === change.heard.toLowerCase());
+        if (entry) {
+            entry.corrected = change.corrected;
+            entry.count++;
+        } else {
+            entry = { heard: change.heard, corrected: change.corrected, lang: lang, count: 1 };
+            this.entries.push(entry);
+        }
+        entry.updatedAt = new Date().toISOString();
+        this.save();
+        return entry;
+    }
+
+    removeEntry(index) {
+        this.entries.splice(index, 1);
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    getEntries(lang) {
+        return this.entries.filter(entry => entry.lang === lang);
+    }
+
+    // Одне виправлення («their» → «there») не повинне переписувати кожен наступний результат
+    apply(text, lang, alternatives = []) {
+        const heardAsAlternative = entry => alternatives.some(alternative =>
+            alternative.transcript.toLowerCase().includes(entry.corrected.toLowerCase()));
+        
+        return this.getEntries(lang)
+            .filter(entry => entry.count >= PHRASE_REWRITE_MIN_COUNT || heardAsAlternative(entry))
+            .reduce((result, entry) => {
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${this.escapeRegExp(entry.heard)}(?![\\p{L}\\p{N}])`, 'giu');
+                return result.replace(pattern, () => entry.corrected);
+            }, text);
+    }
+
+    // Варіанти з виправленими раніше фразами йдуть першими, решта зберігає порядок браузера
+    rank(alternatives, lang) {
+        const phrases = this.getEntries(lang).map(entry => entry.corrected.toLowerCase());
+        if (!phrases.length) return alternatives;
+        
+        const hits = alternative => phrases.filter(phrase => alternative.transcript.toLowerCase().includes(phrase)).length;
+        return alternatives
+            .map((alternative, index) => ({ alternative, index, hits: hits(alternative) }))
+            .sort((a, b) => b.hits - a.hits || a.index - b.index)
+            .map(item => item.alternative);
+    }
+}
+
+// Голосові команди під час диктування: елемент, що підсвічується на підтвердження, і фрази за замовчуванням для кожної мови
+const VOICE_COMMANDS = {
+    stopRecording: {
+        label: 'Зупинити запис',
+        target: 'micButton',
+        phrases: { en: ['stop recording', 'stop listening'], uk: ['зупинити запис', 'стоп запис'], pl: ['zatrzymaj nagrywanie', 'stop nagrywanie'], de: ['aufnahme stoppen', 'aufnahme beenden'], fr: ["arrête l'enregistrement", 'stop enregistrement'] }
+    },
+    clearText: {
+        label: 'Очистити текст',
+        target: 'clearText',
+        destructive: true,
+        phrases: { en: ['clear text', 'clear all'], uk: ['очистити текст', 'очисти текст'], pl: ['wyczyść tekst'], de: ['text löschen'], fr: ['effacer le texte', 'efface le texte'] }
+    },
+    copyTranslation: {
+        label: 'Копіювати переклад',
+        target: 'copyUkrainian',
+        phrases: { en: ['copy translation'], uk: ['копіювати переклад', 'скопіюй переклад'], pl: ['kopiuj tłumaczenie', 'skopiuj tłumaczenie'], de: ['übersetzung kopieren'], fr: ['copier la traduction', 'copie la traduction'] }
+    },
+    readTranslation: {
+        label: 'Озвучити переклад',
+        target: 'speakTranslation',
+        phrases: { en: ['read translation', 'read the translation'], uk: ['прочитати переклад', 'прочитай переклад'], pl: ['przeczytaj tłumaczenie'], de: ['übersetzung vorlesen'], fr: ['lire la traduction', 'lis la traduction'] }
+    },
+    newParagraph: {
+        label: 'Новий абзац',
+        target: 'englishText',
+        phrases: { en: ['new paragraph'], uk: ['новий абзац'], pl: ['nowy akapit'], de: ['neuer absatz'], fr: ['nouveau paragraphe'] }
+    },
+    deleteLastSentence: {
+        label: 'Видалити останнє речення',
+        target: 'englishText',
+        destructive: true,
+        phrases: { en: ['delete last sentence'], uk: ['видалити останнє речення', 'видали останнє речення'], pl: ['usuń ostatnie zdanie'], de: ['letzten satz löschen'], fr: ['supprimer la dernière phrase', 'supprime la dernière phrase'] }
+    },
+    askQuestion: {
+        label: 'Поставити питання',
+        target: 'answersContainer',
+        phrases: { en: ['ask question', 'ask the question'], uk: ['поставити питання', 'постав питання'], pl: ['zadaj pytanie'], de: ['frage stellen'], fr: ['poser la question', 'pose la question'] }
+    }
+};
+
+// Розпізнавання голосових команд: фраза команди має бути всім висловлюванням або його кінцем.
+// Команди, що видаляють текст (destructive), спрацьовують лише як окреме висловлювання,
+// щоб «…тоді видалити останнє речення» посеред розповіді нічого не стерло.
+// Власні фрази користувача зберігаються замість стандартних для пари «команда + мова»
+class VoiceCommands {
+    constructor(storageKey = 'voiceCommands') {
+        this.storageKey = storageKey;
+        this.enabledKey = `${storageKey}Enabled`;
+        this.overrides = {};
+        this.enabled = localStorage.getItem(this.enabledKey) !== 'false';
+        this.load();
+    }
+
+    load() {
+        try {
+            this.overrides = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Помилка завантаження голосових команд:', error);
+            this.overrides = {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.enabledKey, String(enabled));
+    }
+
+    static normalize(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    getPhrases(commandId, lang) {
+        const custom = this.overrides[lang] && this.overrides[lang][commandId];
+        return custom || VOICE_COMMANDS[commandId].phrases[lang] || [];
+    }
+
+    isCustom(commandId, lang) {
+        return Boolean(this.overrides[lang] && this.overrides[lang][commandId]);
+    }
+
+    // Порожній список вимикає команду для мови; стандартні фрази повертає reset()
+    setPhrases(commandId, lang, phrases) {
+        const normalized = Array.from(new Set(phrases.map(VoiceCommands.normalize).filter(Boolean)));
+        this.overrides[lang] = Object.assign({}, this.overrides[lang], { [commandId]: normalized });
+        this.save();
+        return normalized;
+    }
+
+    reset(commandId, lang) {
+        if (!this.overrides[lang]) return;
+        delete this.overrides[lang][commandId];
+        this.save();
+    }
+
+    // Повертає { id, phrase, before }, де before — продиктований текст перед командою
+    match(text, lang) {
+        if (!this.enabled) return null;
+        
+        // Токен з дефісом чи апострофом може дати кілька слів; кожне пам'ятає свій токен
+        const tokens = text.trim().split(/\s+/);
+        const words = tokens.flatMap((token, index) => VoiceCommands.normalize(token).split(' ')
+            .filter(Boolean)
+            .map(word => ({ word, index })));
+        let best = null;
+        
+        Object.keys(VOICE_COMMANDS).forEach(commandId => {
+            this.getPhrases(commandId, lang).forEach(phrase => {
+                const phraseWords = phrase.split(' ');
+                if (phraseWords.length > words.length || (best && best.length >= phraseWords.length)) return;
+                if (VOICE_COMMANDS[commandId].destructive && phraseWords.length !== words.length) return;
+                
+                const tail = words.slice(words.length - phraseWords.length);
+                if (tail.every((item, index) => item.word === phraseWords[index])) {
+                    best = { id: commandId, phrase: phrase, length: phraseWords.length, before: tokens.slice(0, tail[0].index).join(' ') };
+                }
+            });
+        });
+        
+        if (!best) return null;
+        return { id: best.id, phrase: best.phrase, before: best.before.replace(/[\s,;:–-]+$/, '') };
+    }
+}
+
+// Запис аудіо сесії через MediaRecorder паралельно з розпізнаванням. Один запис триває від старту до зупинки
+// мікрофона; фрагменти по секунді дозволяють прослухати запис, що ще триває
+class SessionAudioRecorder {
+    constructor(options = {}) {
+        this.enabledKey = options.enabledKey || 'recordSessionAudio';
+        this.enabled = localStorage.getItem(this.enabledKey) !== 'false';
+        this.onSave = options.onSave || (() => {});
+        this.timeslice = options.timeslice || 1000;
+        
+        this.take = null;
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+    }
+
+    isSupported() {
+        return typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.enabledKey, String(enabled));
+        if (!enabled) this.stop();
+    }
+
+    get active() {
+        return Boolean(this.take);
+    }
+
+    async start(sessionId) {
+        if (this.take) return;
+        
+        const take = { id: SessionHistory.createId(), sessionId: sessionId, startedAt: Date.now(), endedAt: null, mimeType: '' };
+        this.take = take;
+        
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            if (this.take === take) this.take = null;
+            throw error;
+        }
+        
+        // Запис зупинили, поки браузер надавав доступ до мікрофона
+        if (this.take !== take) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        const chunks = [];
+        this.stream = stream;
+        this.chunks = chunks;
+        this.recorder = new MediaRecorder(stream);
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size) chunks.push(event.data);
+        };
+        take.mimeType = this.recorder.mimeType;
+        take.startedAt = Date.now();
+        this.recorder.start(this.timeslice);
+    }
+
+    // Рекордер від'єднується одразу, тож новий запис можна починати, не чекаючи збереження попереднього
+    stop() {
+        const take = this.take;
+        if (!take) return;
+        
+        const recorder = this.recorder;
+        const chunks = this.chunks;
+        const stream = this.stream;
+        this.take = null;
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        if (!recorder) return;
+        
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            take.endedAt = Date.now();
+            const blob = new Blob(chunks, { type: take.mimeType });
+            if (blob.size) this.onSave(Object.assign({}, take, { blob: blob, size: blob.size }));
+        };
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        } else {
+            recorder.onstop();
+        }
+    }
+
+    // Поточний запис (без аудіо), якщо мікрофон уже записується
+    getLiveTake() {
+        return this.take && this.recorder ? Object.assign({ live: true }, this.take) : null;
+    }
+
+    getLiveBlob() {
+        return this.take && this.recorder ? new Blob(this.chunks, { type: this.take.mimeType }) : null;
+    }
+}
+
+// Модель транскрипту: зафіксовані сегменти диктування всередині тексту, який користувач може редагувати
+class TranscriptModel {
+    constructor() {
+        this.segments = [];
+        this.nextId = 1;
+    }
+
+    // Фіксує фінальний результат розпізнавання як окремий сегмент разом з впевненістю та іншими варіантами
+    commit(text, sourceLang, targetLang, recognized = {}) {
+        const segment = {
+            id: this.nextId++,
+            text: text.trim(),
+            sourceLang: sourceLang,
+            targetLang: targetLang,
+            confidence: recognized.confidence || null,
+            alternatives: recognized.alternatives || [],
+            corrected: false,
+            logEntryId: null,
+            translationPromise: null
+        };
+        this.segments.push(segment);
+        return segment;
+    }
+
+    // Chrome повертає нульову впевненість, коли її не оцінено, тому такий сегмент не вважається сумнівним
+    isLowConfidence(segment) {
+        return !segment.corrected && segment.confidence !== null && segment.confidence < LOW_CONFIDENCE_THRESHOLD;
+    }
+
+    // Слова сегмента з позначкою сумніву: у сегменті з низькою впевненістю сумнівні слова,
+    // яких немає в інших варіантах, або весь сегмент, якщо варіанти не відрізняються
+    getWords(segment) {
+        const tokens = segment.text.split(/(\s+)/).filter(Boolean);
+        if (!this.isLowConfidence(segment)) return tokens.map(text => ({ text, uncertain: false }));
+        
+        const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const alternativeWords = segment.alternatives.map(alternative => new Set(alternative.split(/\s+/).map(normalize)));
+        const differs = word => alternativeWords.some(words => !words.has(normalize(word)));
+        const anyDiffers = tokens.some(token => token.trim() && differs(token));
+        
+        return tokens.map(text => ({
+            text,
+            uncertain: Boolean(text.trim()) && (!anyDiffers || differs(text))
+        }));
+    }
+
+    // Заміна тексту сегмента в буфері; повертає новий буфер і позицію сегмента або null, якщо сегмента вже немає
+    replace(buffer, segment, text) {
+        const parts = this.split(buffer);
+        const index = parts.findIndex(part => part.segment === segment);
+        if (index === -1) return null;
+        
+        const start = parts.slice(0, index).reduce((length, part) => length + part.text.length, 0);
+        const delta = text.length - segment.text.length;
+        segment.text = text;
+        return { buffer: parts.map(part => part.segment === segment ? text : part.text).join(''), start: start, delta: delta };
+    }
+
+    reset() {
+        this.segments = [];
+    }
+
+    // Розбиття тексту на частини: сегменти диктування, знайдені в ньому, і текст, введений вручну.
+    // Відредаговані або видалені сегменти більше не знаходяться і стають звичайним текстом
+    split(buffer) {
+        const ranges = [];
+        
+        this.segments.forEach(segment => {
+            let from = 0;
+            let index;
+            while ((index = buffer.indexOf(segment.text, from)) !== -1) {
+                const end = index + segment.text.length;
+                if (!ranges.some(range => index < range.end && end > range.start)) {
+                    ranges.push({ start: index, end: end, segment: segment });
+                    return;
+                }
+                from = index + 1;
+            }
+        });
+        
+        this.segments = this.segments.filter(segment => ranges.some(range => range.segment === segment));
+        ranges.sort((a, b) => a.start - b.start);
+        
+        const parts = [];
+        let position = 0;
+        ranges.forEach(range => {
+            if (range.start > position) {
+                parts.push({ text: buffer.slice(position, range.start), segment: null });
+            }
+            parts.push({ text: range.segment.text, segment: range.segment });
+            position = range.end;
+        });
+        if (position < buffer.length) {
+            parts.push({ text: buffer.slice(position), segment: null });
+        }
+        
+        return parts;
+    }
+}
+
+// Підтримувані мови: код перекладу, локаль розпізнавання, підписи та питальні слова
+const LANGUAGES = {
+    en: {
+        name: 'Англійська',
+        promptName: 'English',
+        label: 'EN',
+        locale: 'en-US',
+        questionRules: {
+            particles: [],
+            imperatives: ['do it', 'do that', 'do this', 'do the', 'do your'],
+            auxiliaries: ['is', 'are', 'am', 'was', 'were', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should', 'shall', 'may', 'might', 'must', 'have', 'has', 'had',
+                "isn't", "aren't", "don't", "doesn't", "didn't", "can't", "couldn't", "won't", "wouldn't", "shouldn't", "haven't", "hasn't"],
+            subjects: ['i', 'you', 'he', 'she', 'it', 'we', 'they', 'there', 'this', 'that', 'these', 'those', 'the', 'a', 'an', 'my', 'your', 'our', 'their', 'his', 'her', 'its', 'anyone', 'someone', 'somebody'],
+            whWords: ['what', 'when', 'where', 'why', 'how', 'who', 'whom', 'whose', 'which'],
+            patterns: [
+                { pattern: /,\s*(is|are|was|were|do|does|did|can|will|would|have|has|isn't|aren't|wasn't|weren't|don't|doesn't|didn't|can't|won't|wouldn't|haven't|hasn't)(\s+not)?\s+(i|you|he|she|it|we|they|there|that)[.!]?$/, score: 0.75, reason: 'tag-question' },
+                { pattern: /,\s*(right|correct|yes|no|ok|okay)[.!]?$/, score: 0.6, reason: 'tag-question' },
+                { pattern: /^(i wonder|tell me|do you know|can you tell me)\b/, score: 0.65, reason: 'indirect-question' }
+            ]
+        }
+    },
+    uk: {
+        name: 'Українська',
+        promptName: 'Ukrainian',
+        label: 'UA',
+        locale: 'uk-UA',
+        questionRules: {
+            particles: ['чи', 'хіба', 'невже', 'може'],
+            imperatives: [],
+            auxiliaries: [],
+            subjects: ['я', 'ти', 'він', 'вона', 'воно', 'ми', 'ви', 'вони'],
+            whWords: ['що', 'коли', 'де', 'куди', 'звідки', 'чому', 'як', 'хто', 'який', 'яка', 'яке', 'які', 'скільки', 'навіщо', 'чий', 'чия', 'чиє'],
+            patterns: [
+                { pattern: /,\s*(так|правда|чи не так|адже так|вірно)[.!]?$/, score: 0.7, reason: 'tag-question' },
+                // \b не працює з кирилицею — межу слова задаємо явно
+                { pattern: /^(скажіть|підкажіть|цікаво)(?![\p{L}'’-])/u, score: 0.6, reason: 'indirect-question' }
+            ]
+        }
+    },
+    pl: {
+        name: 'Польська',
+        promptName: 'Polish',
+        label: 'PL',
+        locale: 'pl-PL',
+        questionRules: {
+            particles: ['czy', 'czyżby'],
+            imperatives: [],
+            auxiliaries: [],
+            subjects: ['ja', 'ty', 'on', 'ona', 'ono', 'my', 'wy', 'oni', 'one'],
+            whWords: ['co', 'kiedy', 'gdzie', 'dokąd', 'skąd', 'dlaczego', 'czemu', 'jak', 'kto', 'który', 'która', 'które', 'ile', 'czyj'],
+            patterns: [
+                { pattern: /^po co\b/, score: 0.65, reason: 'wh-word' },
+                { pattern: /,\s*(prawda|tak|nie|zgadza się)[.!]?$/, score: 0.7, reason: 'tag-question' }
+            ]
+        }
+    },
+    de: {
+        name: 'Німецька',
+        promptName: 'German',
+        label: 'DE',
+        locale: 'de-DE',
+        questionRules: {
+            particles: [],
+            imperatives: [],
+            auxiliaries: ['ist', 'sind', 'bist', 'seid', 'war', 'waren', 'hast', 'hat', 'habt', 'haben', 'kann', 'kannst', 'können', 'könnt', 'wird', 'wirst', 'werden', 'soll', 'sollen', 'muss', 'musst', 'müssen', 'darf', 'darfst', 'dürfen', 'willst', 'wollen', 'möchtest', 'möchten', 'gibt'],
+            subjects: ['ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man', 'das', 'der', 'die', 'dies', 'dieser', 'diese', 'ein', 'eine', 'mein', 'dein', 'unser'],
+            whWords: ['was', 'wann', 'wo', 'wohin', 'woher', 'warum', 'weshalb', 'wieso', 'wie', 'wer', 'wen', 'wem', 'wessen', 'welche', 'welcher', 'welches'],
+            patterns: [
+                { pattern: /,\s*(oder|nicht wahr|ne|gell|stimmt's|richtig)[.!]?$/, score: 0.7, reason: 'tag-question' }
+            ]
+        }
+    },
+    fr: {
+        name: 'Французька',
+        promptName: 'French',
+        label: 'FR',
+        locale: 'fr-FR',
+        questionRules: {
+            particles: [],
+            imperatives: [],
+            auxiliaries: [],
+            subjects: ['je', 'tu', 'il', 'elle', 'on', 'nous', 'vous', 'ils', 'elles'],
+            whWords: ['qui', 'que', 'quoi', 'quand', 'où', 'pourquoi', 'comment', 'quel', 'quelle', 'quels', 'quelles', 'combien', "qu'est-ce"],
+            patterns: [
+                { pattern: /^(est-ce que|est-ce qu')/, score: 0.85, reason: 'particle' },
+                { pattern: /^[\p{L}']+-(t-)?(je|tu|il|elle|on|nous|vous|ils|elles)\b/u, score: 0.8, reason: 'subject-inversion' },
+                { pattern: /,\s*(n'est-ce pas|non|hein|d'accord)[.!]?$/, score: 0.7, reason: 'tag-question' }
+            ]
+        }
+    }
+};
+
+// Формати експорту сесії: JSON без втрат (придатний для імпорту), таблиця, документ, двомовний текст і субтитри
+const SESSION_EXPORT_FORMATS = {
+    json: {
+        label: 'JSON (для імпорту)',
+        extension: 'json',
+        mimeType: 'application/json',
+        format: (session) => JSON.stringify(session, null, 2)
+    },
+    csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8',
+        format: (session) => toCsv([['createdAt', 'startedAt', 'endedAt', 'speaker', 'sourceLang', 'targetLang', 'text', 'translation']]
+            .concat(session.entries.map(entry => [
+                entry.createdAt, entry.startedAt, entry.endedAt, entry.speaker,
+                entry.sourceLang, entry.targetLang, entry.text, entry.translation
+            ])))
+    },
+    markdown: {
+        label: 'Markdown',
+        extension: 'md',
+        mimeType: 'text/markdown;charset=utf-8',
+        format: (session) => {
+            const lines = [`# Сесія ${new Date(session.exportedAt).toLocaleString()}`, ''];
+            
+            lines.push('## Транскрипт', '');
+            session.entries.forEach(entry => {
+                const speaker = entry.speaker ? ` ${entry.speaker}` : '';
+                lines.push(`**[${formatEntryTime(entry)}]${speaker}** (${entry.sourceLang.toUpperCase()}): ${entry.text}`, '');
+                if (entry.translation) lines.push(`> ${entry.targetLang.toUpperCase()}: ${entry.translation}`, '');
+            });
+            
+            if (session.answers.length) {
+                lines.push('## Запитання і відповіді', '');
+                session.answers.forEach(turn => {
+                    lines.push(`### ${turn.question}`, '', turn.answer || '_(без відповіді)_', '');
+                    if (turn.translation) lines.push('**Переклад відповіді:**', '', turn.translation, '');
+                });
+            }
+            
+            if (session.translationLog.length) {
+                lines.push('## Журнал перекладу', '');
+                session.translationLog.forEach(log => {
+                    lines.push(`- \`${log.timestamp}\` ${log.level} ${log.service || 'SYSTEM'}: ${log.message}`);
+                });
+                lines.push('');
+            }
+            return lines.join('\n');
+        }
+    },
+    text: {
+        label: 'Двомовний текст',
+        extension: 'txt',
+        mimeType: 'text/plain;charset=utf-8',
+        format: (session) => session.entries.map(entry => {
+            const speaker = entry.speaker ? ` ${entry.speaker}:` : '';
+            const translation = entry.translation ? `\n    → ${entry.translation}` : '';
+            return `[${formatEntryTime(entry)}]${speaker} ${entry.text}${translation}`;
+        }).join('\n\n') + '\n'
+    },
+    srt: {
+        label: 'Субтитри SRT',
+        extension: 'srt',
+        mimeType: 'application/x-subrip;charset=utf-8',
+        format: (session) => getSubtitleCues(session.entries).map((cue, index) =>
+            `${index + 1}\n${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}\n${cue.text}\n`
+        ).join('\n')
+    },
+    vtt: {
+        label: 'Субтитри WebVTT',
+        extension: 'vtt',
+        mimeType: 'text/vtt;charset=utf-8',
+        format: (session) => 'WEBVTT\n\n' + getSubtitleCues(session.entries).map(cue =>
+            `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}\n${cue.text}\n`
+        ).join('\n')
+    }
+};
+
+// Позначка формату для перевірки файлу під час імпорту
+const SESSION_EXPORT_MARKER = 'voiceInputEN-session';
+
+// Елементи DOM
+const elements = {
+    englishText: document.getElementById('englishText'),
+    ukrainianText: document.getElementById('ukrainianText'),
+    micButton: document.getElementById('micButton'),
+    copyEnglish: document.getElementById('copyEnglish'),
+    copyUkrainian: document.getElementById('copyUkrainian'),
+    speakTranslation: document.getElementById('speakTranslation'),
+    ttsVoiceSelect: document.getElementById('ttsVoiceSelect'),
+    ttsRate: document.getElementById('ttsRate'),
+    ttsPitch: document.getElementById('ttsPitch'),
+    ttsAutoSpeak: document.getElementById('ttsAutoSpeak'),
+    clearText: document.getElementById('clearText'),
+    recordingIndicator: document.getElementById('recordingIndicator'),
+    recordingStatus: document.getElementById('recordingStatus'),
+    sessionTimer: document.getElementById('sessionTimer'),
+    conversationModeToggle: document.getElementById('conversationModeToggle'),
+    conversationPanel: document.getElementById('conversationPanel'),
+    speakerAButton: document.getElementById('speakerAButton'),
+    speakerBButton: document.getElementById('speakerBButton'),
+    questionIndicator: document.getElementById('questionIndicator'),
+    answersContainer: document.getElementById('answersContainer'),
+    apiKeyInput: document.getElementById('apiKeyInput'),
+    saveApiKey: document.getElementById('saveApiKey'),
+    stopAnswer: document.getElementById('stopAnswer'),
+    regenerateAnswer: document.getElementById('regenerateAnswer'),
+    clearQaHistory: document.getElementById('clearQaHistory'),
+    answerProviderList: document.getElementById('answerProviderList'),
+    answerProviderSelect: document.getElementById('answerProviderSelect'),
+    answerProviderName: document.getElementById('answerProviderName'),
+    answerProviderType: document.getElementById('answerProviderType'),
+    answerProviderUrl: document.getElementById('answerProviderUrl'),
+    answerProviderModel: document.getElementById('answerProviderModel'),
+    answerProviderKey: document.getElementById('answerProviderKey'),
+    saveAnswerProvider: document.getElementById('saveAnswerProvider'),
+    secretStoreStatus: document.getElementById('secretStoreStatus'),
+    secretStorageMode: document.getElementById('secretStorageMode'),
+    secretPassphrase: document.getElementById('secretPassphrase'),
+    unlockSecrets: document.getElementById('unlockSecrets'),
+    lockSecrets: document.getElementById('lockSecrets'),
+    secretList: document.getElementById('secretList'),
+    secretName: document.getElementById('secretName'),
+    secretValidateTarget: document.getElementById('secretValidateTarget'),
+    forgetSecrets: document.getElementById('forgetSecrets'),
+    testAnswerProvider: document.getElementById('testAnswerProvider'),
+    removeAnswerProvider: document.getElementById('removeAnswerProvider'),
+    qaSystemPrompt: document.getElementById('qaSystemPrompt'),
+    questionSensitivity: document.getElementById('questionSensitivity'),
+    saveQaSettings: document.getElementById('saveQaSettings'),
+    notification: document.getElementById('notification'),
+    translationStatus: document.getElementById('translationStatus'),
+    interimTranscript: document.getElementById('interimTranscript'),
+    transcriptSegments: document.getElementById('transcriptSegments'),
+    segmentMenu: document.getElementById('segmentMenu'),
+    togglePassword: document.getElementById('togglePassword'),
+    voiceLogContainer: document.getElementById('voiceLogContainer'),
+    exportFormat: document.getElementById('exportFormat'),
+    newSession: document.getElementById('newSession'),
+    historySearch: document.getElementById('historySearch'),
+    historySearchResults: document.getElementById('historySearchResults'),
+    sessionList: document.getElementById('sessionList'),
+    currentSessionName: document.getElementById('currentSessionName'),
+    exportSession: document.getElementById('exportSession'),
+    importSession: document.getElementById('importSession'),
+    clearVoiceLog: document.getElementById('clearVoiceLog'),
+    translationLogContainer: document.getElementById('translationLogContainer'),
+    clearTranslationLog: document.getElementById('clearTranslationLog'),
+    clearTranslationCache: document.getElementById('clearTranslationCache'),
+    serviceDashboard: document.getElementById('serviceDashboard'),
+    resetServices: document.getElementById('resetServices'),
+    customProviderName: document.getElementById('customProviderName'),
+    customProviderType: document.getElementById('customProviderType'),
+    customProviderUrl: document.getElementById('customProviderUrl'),
+    customProviderKey: document.getElementById('customProviderKey'),
+    customProviderPath: document.getElementById('customProviderPath'),
+    addCustomProvider: document.getElementById('addCustomProvider'),
+    offlineDictionaryList: document.getElementById('offlineDictionaryList'),
+    offlineDictionaryFile: document.getElementById('offlineDictionaryFile'),
+    offlineEntrySource: document.getElementById('offlineEntrySource'),
+    offlineEntryTarget: document.getElementById('offlineEntryTarget'),
+    addOfflineEntry: document.getElementById('addOfflineEntry'),
+    offlineEntryList: document.getElementById('offlineEntryList'),
+    glossarySource: document.getElementById('glossarySource'),
+    glossaryTarget: document.getElementById('glossaryTarget'),
+    glossaryCaseSensitive: document.getElementById('glossaryCaseSensitive'),
+    glossaryDoNotTranslate: document.getElementById('glossaryDoNotTranslate'),
+    addGlossaryEntry: document.getElementById('addGlossaryEntry'),
+    glossaryImport: document.getElementById('glossaryImport'),
+    glossaryExport: document.getElementById('glossaryExport'),
+    glossaryList: document.getElementById('glossaryList'),
+    phraseList: document.getElementById('phraseList'),
+    voiceCommandsEnabled: document.getElementById('voiceCommandsEnabled'),
+    voiceCommandList: document.getElementById('voiceCommandList'),
+    clearPhraseList: document.getElementById('clearPhraseList'),
+    privacyEnabled: document.getElementById('privacyEnabled'),
+    privacyDetectors: document.getElementById('privacyDetectors'),
+    privacyDenyList: document.getElementById('privacyDenyList'),
+    savePrivacySettings: document.getElementById('savePrivacySettings'),
+    localOnlyMode: document.getElementById('localOnlyMode'),
+    redactionLog: document.getElementById('redactionLog'),
+    clearRedactionLog: document.getElementById('clearRedactionLog'),
+    sessionPlayer: document.getElementById('sessionPlayer'),
+    sessionRecordingSelect: document.getElementById('sessionRecordingSelect'),
+    sessionAudioPlayer: document.getElementById('sessionAudioPlayer'),
+    sessionAudioSize: document.getElementById('sessionAudioSize'),
+    deleteSessionAudio: document.getElementById('deleteSessionAudio'),
+    recordSessionAudio: document.getElementById('recordSessionAudio'),
+    sttProvider: document.getElementById('sttProvider'),
+    sttUrl: document.getElementById('sttUrl'),
+    sttModel: document.getElementById('sttModel'),
+    sttKey: document.getElementById('sttKey'),
+    sttChunkSeconds: document.getElementById('sttChunkSeconds'),
+    saveSpeechToText: document.getElementById('saveSpeechToText'),
+    sttStatus: document.getElementById('sttStatus'),
+    transcribeFile: document.getElementById('transcribeFile'),
+    transcribeFileButton: document.getElementById('transcribeFileButton'),
+    cancelFileTranscription: document.getElementById('cancelFileTranscription'),
+    sourceLangSelect: document.getElementById('sourceLangSelect'),
+    targetLangSelect: document.getElementById('targetLangSelect'),
+    swapLanguages: document.getElementById('swapLanguages'),
+    sourceHeading: document.getElementById('sourceHeading'),
+    targetHeading: document.getElementById('targetHeading')
+};
+
+// Змінні стану
+let recognition = null;
+let recordingSession = null;
+let sessionTimer = null;
+// Завантаження збереженої мовної пари (за замовчуванням en → uk)
+const savedLanguagePair = JSON.parse(localStorage.getItem('languagePair')) || {};
+let sourceLanguage = LANGUAGES[savedLanguagePair.source] ? savedLanguagePair.source : 'en';
+let targetLanguage = LANGUAGES[savedLanguagePair.target] ? savedLanguagePair.target : 'uk';
+if (sourceLanguage === targetLanguage) {
+    sourceLanguage = 'en';
+    targetLanguage = 'uk';
+}
+// Лише результат останнього запиту перекладу потрапляє в інтерфейс
+let translationRequestId = 0;
+let translationController = null;
+const TRANSLATION_DEBOUNCE_MS = 400;
+// Журнал голосу поточної сесії (від новіших до старіших); записи зберігаються в історії IndexedDB
+let voiceLog = [];
+const sessionHistory = new SessionHistory();
+let currentSession = null;
+let historyReady = null;
+
+// Аудіо сесії: збережені записи поточної сесії і стан програвача
+const audioRecorder = new SessionAudioRecorder({ onSave: saveRecording });
+let sessionRecordings = [];
+let audioPlayback = { recording: null, url: null, stopAt: null, entryId: null };
+
+// Приховування персональних даних перед перекладом і Q&A; локальний режим блокує зовнішні запити
+const privacyFilter = new PrivacyFilter({ onEvent: renderRedactionLog });
+
+// Озвучення: поки звучить мовлення, розпізнавання призупиняється, щоб не записати власний голос
+const speechPlayer = new SpeechPlayer({
+    privacy: privacyFilter,
+    onError: (message) => showNotification(message, 'error'),
+    onSpeakingChange: (speaking) => {
+        if (!recordingSession) return;
+        if (speaking) {
+            recordingSession.pause();
+        } else {
+            recordingSession.resume();
+        }
+    }
+});
+
+// API ключі сервісів зберігаються окремо від налаштувань провайдерів
+const secretStore = new SecretStore();
+
+// Розпізнавання мовлення: браузер або Whisper-сумісний сервер; розпізнавання файлу можна скасувати
+const speechToText = new SpeechToText({ secrets: secretStore, privacy: privacyFilter });
+let fileTranscriptionController = null;
+
+// Діалог Q&A з історією запитань і перемиканням між постачальниками відповідей
+const answerProviders = new AnswerProviders({ secrets: secretStore, privacy: privacyFilter });
+const qaThread = new QAThread({ providers: answerProviders, privacy: privacyFilter });
+const questionDetector = new QuestionDetector();
+const markdownRenderer = new MarkdownRenderer();
+
+// Режим розмови: співрозмовник A говорить мовою оригіналу, B — мовою перекладу
+let conversationMode = localStorage.getItem('conversationMode') === 'true';
+let activeSpeaker = null;
+
+// Час початку поточного висловлювання
+let utteranceStartedAt = null;
+
+// Транскрипт диктування і позиція вставки в текстовому полі
+const transcriptModel = new TranscriptModel();
+let dictationCursor = null;
+const phraseList = new PhraseList();
+const voiceCommands = new VoiceCommands();
+
+// Ініціалізація TranslationService
+const translationService = new TranslationService({ secrets: secretStore, privacy: privacyFilter });
+let customProviders = JSON.parse(localStorage.getItem('customTranslationProviders')) || [];
+customProviders.forEach(provider => {
+    try {
+        translationService.registerProvider(Object.assign({ custom: true }, provider));
+    } catch (error) {
+        console.error('Не вдалося зареєструвати власний сервіс перекладу:', error);
+    }
+});
+translationService.applyConfig(JSON.parse(localStorage.getItem('translationServiceConfig')));
+let draggedServiceName = null;
+
+// Глобальна функція для оновлення UI логів
+window.updateTranslationLogs = function(logEntry) {
+    if (!elements.translationLogContainer) return;
+    
+    const logElement = document.createElement('div');
+    logElement.className = 'log-entry';
+    
+    const levelClass = `log-level log-level-${logEntry.level.toLowerCase()}`;
+    const time = new Date(logEntry.timestamp).toLocaleTimeString();
+    
+    // Повідомлення містять текст користувача й відповіді сервісів, тому все екранується
+    logElement.innerHTML = `
+        <span class="log-time">[${time}]</span>
+        <span class="${escapeHtml(levelClass)}">${escapeHtml(logEntry.level)}</span>
+        <span class="log-service">${escapeHtml(logEntry.service || 'SYSTEM')}</span>
+        <span class="log-message">${escapeHtml(String(logEntry.message))}</span>
+    `;
+    
+    // Видаляємо повідомлення про порожній журнал
+    if (elements.translationLogContainer.children.length === 1 && 
+        elements.translationLogContainer.children[0].textContent.includes('порожній')) {
+        elements.translationLogContainer.innerHTML = '';
+    }
+    
+    elements.translationLogContainer.appendChild(logElement);
+    elements.translationLogContainer.scrollTop = elements.translationLogContainer.scrollHeight;
+    
+    // Стан сервісів змінюється разом із подіями перекладу
+    if (logEntry.service) {
+        renderServiceDashboard();
+    }
+};
+
+// Відкладений виклик: функція спрацьовує після паузи у викликах
+function debounce(fn, delay) {
+    let timer = null;
+    const debounced = function(...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), delay);
+    };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
+}
+
+// Розпізнавання для вибраного провайдера; при зміні провайдера поточний запис зупиняється
+function setupRecognition() {
+    if (recordingSession && recordingSession.active) recordingSession.stop();
+    recognition = null;
+    recordingSession = null;
+    
+    const providerId = speechToText.resolveProvider();
+    try {
+        if (providerId) {
+            recognition = speechToText.createRecognition(providerId);
+            recognition.continuous = true;
+            recognition.interimResults = true;
+            recognition.maxAlternatives = RECOGNITION_MAX_ALTERNATIVES;
+            recognition.lang = LANGUAGES[sourceLanguage].locale;
+            recognition.onresult = handleRecognitionResult;
+            
+            // Сесія керує стартом, завершенням і помилками розпізнавання
+            recordingSession = new RecognitionSession(recognition, {
+                onStateChange: updateRecordingUI
+            });
+        }
+    } catch (error) {
+        console.error('Помилка ініціалізації розпізнавання мовлення:', error);
+        recognition = null;
+        recordingSession = null;
+    }
+    
+    if (elements.micButton) elements.micButton.disabled = !recordingSession;
+    updateSpeechToTextStatus(providerId);
+    return Boolean(recordingSession);
+}
+
+function handleRecognitionResult(event) {
+    let interimTranscript = '';
+    
+    recordingSession.markHealthy();
+    
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        const transcript = result[0].transcript;
+        // Початок висловлювання — перший результат після попереднього фінального (для субтитрів);
+        // серверне розпізнавання передає точний час фрагмента
+        if (!utteranceStartedAt) utteranceStartedAt = Date.now();
+        if (result.isFinal) {
+            commitFinalTranscript(transcript, {
+                startedAt: result.startedAt || utteranceStartedAt,
+                endedAt: result.endedAt || Date.now()
+            }, readAlternatives(result));
+            utteranceStartedAt = null;
+        } else {
+            interimTranscript += transcript;
+        }
+    }
+    
+    // Проміжний текст показуємо окремо, не змінюючи текстове поле
+    showInterimTranscript(interimTranscript);
+}
+
+// Безпечне додавання обробників подій
+function safeAddEventListener(element, event, handler) {
+    if (element && typeof handler === 'function') {
+        element.addEventListener(event, handler);
+    }
+}
+
+// Ініціалізація
+function init() {
+    console.log('Ініціалізація додатку...');
+    
+    // Ініціалізація розпізнавання мовлення
+    if (!setupRecognition()) {
+        showNotification('Браузер не підтримує розпізнавання мовлення. Вкажіть Whisper-сумісний сервер у налаштуваннях або використайте Chrome чи Edge.', 'error');
+    }
+    
+    // Безпечне додавання обробників подій
+    safeAddEventListener(elements.micButton, 'click', toggleRecording);
+    safeAddEventListener(elements.saveSpeechToText, 'click', saveSpeechToTextHandler);
+    safeAddEventListener(elements.recordSessionAudio, 'change', () => audioRecorder.setEnabled(elements.recordSessionAudio.checked));
+    safeAddEventListener(elements.sessionRecordingSelect, 'change', () => {
+        const recording = getSessionRecordings().find(item => item.id === elements.sessionRecordingSelect.value);
+        if (recording) loadRecordingIntoPlayer(recording);
+    });
+    safeAddEventListener(elements.sessionAudioPlayer, 'timeupdate', handlePlaybackTime);
+    safeAddEventListener(elements.sessionAudioPlayer, 'ended', () => highlightPlayingEntry(null));
+    safeAddEventListener(elements.deleteSessionAudio, 'click', deleteSessionAudioHandler);
+    safeAddEventListener(elements.transcribeFile, 'change', transcribeFileHandler);
+    safeAddEventListener(elements.cancelFileTranscription, 'click', () => {
+        if (fileTranscriptionController) fileTranscriptionController.abort();
+    });
+    safeAddEventListener(elements.copyEnglish, 'click', () => copyToClipboard(elements.englishText));
+    safeAddEventListener(elements.copyUkrainian, 'click', () => copyToClipboard(elements.ukrainianText));
+    safeAddEventListener(elements.speakTranslation, 'click', speakTranslationHandler);
+    safeAddEventListener(elements.ttsVoiceSelect, 'change', () => speechPlayer.setVoice(targetLanguage, elements.ttsVoiceSelect.value));
+    safeAddEventListener(elements.ttsRate, 'input', () => speechPlayer.updateSettings({ rate: Number(elements.ttsRate.value) }));
+    safeAddEventListener(elements.ttsPitch, 'input', () => speechPlayer.updateSettings({ pitch: Number(elements.ttsPitch.value) }));
+    safeAddEventListener(elements.ttsAutoSpeak, 'change', () => speechPlayer.updateSettings({ autoSpeak: elements.ttsAutoSpeak.checked }));
+    safeAddEventListener(elements.clearText, 'click', clearAllText);
+    safeAddEventListener(elements.togglePassword, 'click', togglePasswordVisibility);
+    safeAddEventListener(elements.clearVoiceLog, 'click', clearVoiceLogHandler);
+    safeAddEventListener(elements.clearTranslationLog, 'click', clearTranslationLogHandler);
+    safeAddEventListener(elements.clearTranslationCache, 'click', clearTranslationCacheHandler);
+    safeAddEventListener(elements.resetServices, 'click', resetServicesHandler);
+    safeAddEventListener(elements.addCustomProvider, 'click', addCustomProviderHandler);
+    safeAddEventListener(elements.customProviderType, 'change', updateCustomProviderForm);
+    safeAddEventListener(elements.offlineDictionaryFile, 'change', loadOfflineDictionaryHandler);
+    safeAddEventListener(elements.addOfflineEntry, 'click', addOfflineEntryHandler);
+    safeAddEventListener(elements.addGlossaryEntry, 'click', addGlossaryEntryHandler);
+    safeAddEventListener(elements.clearPhraseList, 'click', clearPhraseListHandler);
+    safeAddEventListener(elements.voiceCommandsEnabled, 'change', () => voiceCommands.setEnabled(elements.voiceCommandsEnabled.checked));
+    safeAddEventListener(elements.privacyEnabled, 'change', savePrivacySettingsHandler);
+    safeAddEventListener(elements.savePrivacySettings, 'click', savePrivacySettingsHandler);
+    safeAddEventListener(elements.localOnlyMode, 'change', toggleLocalOnlyHandler);
+    safeAddEventListener(elements.clearRedactionLog, 'click', clearRedactionLogHandler);
+    safeAddEventListener(document, 'click', (event) => {
+        if (elements.segmentMenu && !elements.segmentMenu.contains(event.target) && !event.target.closest('.transcript-segment')) closeSegmentMenu();
+    });
+    safeAddEventListener(document, 'keydown', (event) => {
+        if (event.key === 'Escape') closeSegmentMenu();
+    });
+    safeAddEventListener(elements.glossaryImport, 'change', importGlossaryHandler);
+    safeAddEventListener(elements.glossaryExport, 'click', exportGlossaryHandler);
+    safeAddEventListener(elements.glossaryDoNotTranslate, 'change', () => {
+        if (elements.glossaryTarget) elements.glossaryTarget.disabled = elements.glossaryDoNotTranslate.checked;
+    });
+    safeAddEventListener(elements.saveApiKey, 'click', saveApiKeyHandler);
+    safeAddEventListener(elements.exportSession, 'click', exportSessionHandler);
+    safeAddEventListener(elements.newSession, 'click', newSessionHandler);
+    safeAddEventListener(elements.historySearch, 'input', debounce(searchHistory, 250));
+    safeAddEventListener(elements.importSession, 'change', importSessionHandler);
+    safeAddEventListener(elements.saveAnswerProvider, 'click', saveAnswerProviderHandler);
+    safeAddEventListener(elements.unlockSecrets, 'click', unlockSecretsHandler);
+    safeAddEventListener(elements.lockSecrets, 'click', lockSecretsHandler);
+    safeAddEventListener(elements.secretStorageMode, 'change', changeSecretModeHandler);
+    safeAddEventListener(elements.forgetSecrets, 'click', forgetSecretsHandler);
+    safeAddEventListener(elements.testAnswerProvider, 'click', () => testAnswerProviderHandler(elements.answerProviderSelect.value));
+    safeAddEventListener(elements.removeAnswerProvider, 'click', removeAnswerProviderHandler);
+    safeAddEventListener(elements.answerProviderSelect, 'change', () => fillAnswerProviderForm(elements.answerProviderSelect.value));
+    safeAddEventListener(elements.answerProviderType, 'change', updateAnswerProviderDefaults);
+    safeAddEventListener(elements.answersContainer, 'click', copyCodeBlockHandler);
+    safeAddEventListener(elements.stopAnswer, 'click', stopAnswerHandler);
+    safeAddEventListener(elements.regenerateAnswer, 'click', regenerateAnswerHandler);
+    safeAddEventListener(elements.clearQaHistory, 'click', clearQaHistoryHandler);
+    safeAddEventListener(elements.saveQaSettings, 'click', saveQaSettingsHandler);
+    safeAddEventListener(elements.questionSensitivity, 'change', () => questionDetector.setSensitivity(elements.questionSensitivity.value));
+    safeAddEventListener(elements.sourceLangSelect, 'change', () => setLanguagePair(elements.sourceLangSelect.value, targetLanguage));
+    safeAddEventListener(elements.targetLangSelect, 'change', () => setLanguagePair(sourceLanguage, elements.targetLangSelect.value));
+    safeAddEventListener(elements.swapLanguages, 'click', swapLanguagesHandler);
+    safeAddEventListener(elements.conversationModeToggle, 'change', () => setConversationMode(elements.conversationModeToggle.checked));
+    setupPushToTalk(elements.speakerAButton, 'A');
+    setupPushToTalk(elements.speakerBButton, 'B');
+    
+    // Обробники подій введення тексту
+    safeAddEventListener(elements.englishText, 'input', handleTextInput);
+    ['click', 'keyup', 'select', 'input'].forEach(eventName => {
+        safeAddEventListener(elements.englishText, eventName, rememberDictationCursor);
+    });
+    
+    // Завантаження збереженого API ключа
+    if (elements.qaSystemPrompt) elements.qaSystemPrompt.value = qaThread.settings.systemPrompt;
+    if (elements.questionSensitivity) elements.questionSensitivity.value = questionDetector.sensitivity;
+    renderQaThread();
+    
+    populateExportFormats();
+    populateAnswerProviderTypes();
+    renderAnswerProviders();
+    renderSecrets();
+    if (!secretStore.isLocked()) migrateLegacyKeys();
+    fillSpeechToTextForm();
+    if (elements.recordSessionAudio) {
+        elements.recordSessionAudio.checked = audioRecorder.enabled;
+        elements.recordSessionAudio.disabled = !audioRecorder.isSupported();
+    }
+    fillAnswerProviderForm(answerProviders.providers.length ? answerProviders.providers[0].id : '');
+    
+    // Заповнення вибору мов
+    populateLanguageSelects();
+    updateLanguageUI();
+    setConversationMode(conversationMode);
+    setupSpeechSettings();
+    
+    // Завантаження журналу з історії сесій
+    updateLogDisplay();
+    historyReady = loadHistory();
+    populateProviderTypes();
+    renderServiceDashboard();
+    translationService.offlineDictionary.load().then(renderOfflineDictionary);
+    renderGlossary();
+    renderPhraseList();
+    renderVoiceCommands();
+    renderPrivacySettings();
+    renderRedactionLog();
+    // Оновлення зворотного відліку охолодження вимикачів
+    setInterval(renderServiceDashboard, 5000);
+    
+    console.log('Додаток успішно ініціалізовано');
+}
+
+// Функції
+function toggleRecording() {
+    if (!recordingSession) return;
+    
+    if (recordingSession.active) {
+        recordingSession.stop();
+    } else {
+        recordingSession.start();
+    }
+}
+
+// Повідомлення для помилок, після яких запис зупиняється
+const RECOGNITION_ERROR_MESSAGES = {
+    'not-allowed': 'Доступ до мікрофона заборонено. Дозвольте його в налаштуваннях браузера.',
+    'service-not-allowed': 'Сервіс розпізнавання мовлення недоступний у цьому браузері.',
+    'audio-capture': 'Мікрофон не знайдено або він зайнятий іншою програмою.'
+};
+
+function formatDuration(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    return `${hours ? pad(hours) + ':' : ''}${pad(minutes)}:${pad(seconds)}`;
+}
+
+function updateSessionTimer() {
+    if (elements.sessionTimer && recordingSession) {
+        elements.sessionTimer.textContent = formatDuration(recordingSession.getElapsed());
+    }
+}
+
+// Стан сесії запису в інтерфейсі: кнопка, індикатор, таймер
+function updateRecordingUI(state, details) {
+    const active = state !== 'idle' && state !== 'error';
+    syncAudioRecording(active);
+    
+    if (elements.micButton) {
+        elements.micButton.innerHTML = active
+            ? '<i class="material-icons">stop</i> Зупинити запис'
+            : '<i class="material-icons">mic</i> Голосовий ввід';
+        elements.micButton.classList.toggle('recording', active);
+    }
+    
+    if (elements.recordingIndicator) {
+        elements.recordingIndicator.classList.toggle('active', active);
+        elements.recordingIndicator.classList.toggle('reconnecting', state === 'reconnecting' || state === 'starting');
+        elements.recordingIndicator.classList.toggle('paused', state === 'paused');
+    }
+    
+    if (elements.recordingStatus) {
+        if (state === 'reconnecting') {
+            const delay = details.delay ? ` через ${Math.round(details.delay / 1000)}с` : '';
+            elements.recordingStatus.textContent = `Відновлення з'єднання${delay}...`;
+        } else if (state === 'starting') {
+            elements.recordingStatus.textContent = 'Підключення мікрофона...';
+        } else if (state === 'paused') {
+            elements.recordingStatus.textContent = 'Запис призупинено на час озвучення...';
+        } else {
+            elements.recordingStatus.textContent = 'Йде запис голосу... Говоріть';
+        }
+    }
+    
+    if (active && !sessionTimer) {
+        sessionTimer = setInterval(updateSessionTimer, 1000);
+    } else if (!active && sessionTimer) {
+        clearInterval(sessionTimer);
+        sessionTimer = null;
+    }
+    updateSessionTimer();
+    
+    if (state !== 'recording') showInterimTranscript('');
+    updateSpeakerButtons();
+    
+    if (state === 'error') {
+        const message = RECOGNITION_ERROR_MESSAGES[details.error] || `Помилка розпізнавання мовлення: ${details.error}`;
+        console.error('Помилка розпізнавання мовлення:', details.error);
+        showNotification(message, 'error');
+    } else if (state === 'reconnecting' && details.error && details.error !== 'no-speech' && details.error !== 'aborted') {
+        console.warn('Розпізнавання перервано, перезапуск:', details.error);
+    }
+}
+
+// Варіанти розпізнавання результату у порядку браузера
+function readAlternatives(result) {
+    return Array.from({ length: result.length }, (_, index) => ({
+        transcript: result[index].transcript,
+        confidence: result[index].confidence
+    }));
+}
+
+// Вибір варіанта з урахуванням списку виправлень; інші варіанти лишаються для меню виправлення
+function pickAlternative(transcript, alternatives, lang) {
+    const ranked = phraseList.rank(alternatives.length ? alternatives : [{ transcript: transcript, confidence: 0 }], lang);
+    const text = phraseList.apply(ranked[0].transcript.trim(), lang, alternatives);
+    const others = ranked.map(alternative => alternative.transcript.trim())
+        .filter((alternative, index, list) => alternative && alternative !== text && list.indexOf(alternative) === index);
+    
+    return { text: text, confidence: ranked[0].confidence || null, alternatives: others };
+}
+
+// Фінальний результат розпізнавання: вставка в позицію курсора, одноразовий переклад, журнал
+function commitFinalTranscript(transcript, timing = {}, alternatives = []) {
+    if (!transcript.trim()) return;
+    
+    const speakerMode = conversationMode && activeSpeaker;
+    const lang = speakerMode ? getSpeakerLanguages(activeSpeaker).sourceLang : sourceLanguage;
+    
+    // Команда не потрапляє ні в текст, ні в переклад, ні в журнал; текст перед нею фіксується як звичайно
+    const command = voiceCommands.match(transcript, lang);
+    if (command) {
+        if (command.before) commitFinalTranscript(command.before, timing);
+        executeVoiceCommand(command);
+        return;
+    }
+    
+    if (speakerMode) {
+        const recognized = pickAlternative(transcript, alternatives, lang);
+        commitConversationTurn(activeSpeaker, recognized.text, Object.assign({ confidence: recognized.confidence }, timing));
+        return;
+    }
+    
+    const segment = commitDictationSegment(pickAlternative(transcript, alternatives, lang), timing);
+    renderTranscriptSegments();
+    if (elements.englishText) translateText(elements.englishText.value);
+    autoSpeakTranslation(segment.translationPromise, segment.targetLang);
+}
+
+// Спільний шлях для мікрофона й файлів: сегмент транскрипту, переклад, перевірка питання, журнал
+// deferQuestions — запитання ставить викликач (розпізнавання файлу ставить їх після всіх сегментів)
+function commitDictationSegment(recognized, timing = {}, deferQuestions = false) {
+    const segment = transcriptModel.commit(recognized.text, sourceLanguage, targetLanguage, recognized);
+    segment.translationPromise = translationService.translateText(segment.text, segment.sourceLang, segment.targetLang);
+    segment.logEntryId = SessionHistory.createId();
+    
+    insertAtDictationCursor(segment.text);
+    // Фінальний сегмент диктування завершений, навіть якщо розпізнавання не поставило розділовий знак
+    if (!deferQuestions) checkForQuestion(segment.text, { includeUnterminated: true });
+    addToLog(segment.text, segment.translationPromise, Object.assign({ id: segment.logEntryId, confidence: segment.confidence }, timing));
+    return segment;
+}
+
+function executeVoiceCommand(command) {
+    switch (command.id) {
+        case 'stopRecording':
+            if (conversationMode) {
+                endSpeakerTurn();
+            } else if (recordingSession && recordingSession.active) {
+                recordingSession.stop();
+            }
+            break;
+        case 'clearText':
+            clearAllText();
+            break;
+        case 'copyTranslation':
+            if (!elements.ukrainianText || !elements.ukrainianText.value.trim()) {
+                showNotification('Перекладу ще немає', 'error');
+                return;
+            }
+            copyToClipboard(elements.ukrainianText);
+            break;
+        case 'readTranslation':
+            if (!elements.ukrainianText || !elements.ukrainianText.value.trim()) {
+                showNotification('Перекладу ще немає', 'error');
+                return;
+            }
+            speechPlayer.speak(elements.ukrainianText.value, targetLanguage);
+            break;
+        case 'newParagraph':
+            insertParagraphBreak();
+            break;
+        case 'deleteLastSentence':
+            if (!deleteLastSentence()) {
+                showNotification('Немає речення для видалення', 'error');
+                return;
+            }
+            break;
+        case 'askQuestion': {
+            const sentence = findLastSentence();
+            if (!sentence) {
+                showNotification('Немає тексту для питання', 'error');
+                return;
+            }
+            if (!requestAnswer(sentence.text)) return;
+            questionDetector.markAnswered(sentence.text);
+            break;
+        }
+        default:
+            return;
+    }
+    
+    confirmVoiceCommand(command.id);
+}
+
+// Підтвердження команди: повідомлення і коротке підсвічування пов'язаного елемента
+function confirmVoiceCommand(commandId) {
+    const definition = VOICE_COMMANDS[commandId];
+    showNotification(`Команда: ${definition.label}`);
+    
+    const target = elements[definition.target];
+    if (!target) return;
+    target.classList.remove('command-flash');
+    // Перезапуск анімації, якщо команду повторили
+    void target.offsetWidth;
+    target.classList.add('command-flash');
+    setTimeout(() => target.classList.remove('command-flash'), 1000);
+}
+
+function getDictationPosition() {
+    const value = elements.englishText ? elements.englishText.value : '';
+    return dictationCursor === null ? value.length : Math.min(dictationCursor, value.length);
+}
+
+// Останнє речення перед позицією диктування: { start, end, text } або null
+function findLastSentence() {
+    if (!elements.englishText) return null;
+    
+    const end = getDictationPosition();
+    const before = elements.englishText.value.slice(0, end).replace(/\s+$/, '');
+    const match = before.match(/[^.!?…\n]*[.!?…]*$/);
+    const text = match[0].trim();
+    if (!text) return null;
+    
+    return { start: before.length - match[0].length, end: end, text: text };
+}
+
+function deleteLastSentence() {
+    const sentence = findLastSentence();
+    if (!sentence) return false;
+    
+    const value = elements.englishText.value;
+    const before = value.slice(0, sentence.start).replace(/[ \t]+$/, '');
+    elements.englishText.value = before + value.slice(sentence.end);
+    dictationCursor = before.length;
+    handleTextInput();
+    return true;
+}
+
+function insertParagraphBreak() {
+    const field = elements.englishText;
+    if (!field) return;
+    
+    const position = getDictationPosition();
+    const before = field.value.slice(0, position).replace(/[ \t]+$/, '');
+    if (!before) return;
+    
+    const after = field.value.slice(position).replace(/^[ \t]+/, '');
+    field.value = `${before}\n\n${after}`;
+    dictationCursor = before.length + 2;
+}
+
+// Розпізнані сегменти над текстовим полем: сумнівні слова виділені, клік відкриває меню виправлення
+function renderTranscriptSegments() {
+    if (!elements.transcriptSegments || !elements.englishText) return;
+    
+    const parts = transcriptModel.split(elements.englishText.value).filter(part => part.segment);
+    elements.transcriptSegments.innerHTML = '';
+    elements.transcriptSegments.classList.toggle('active', parts.length > 0);
+    
+    parts.forEach(part => {
+        const segment = part.segment;
+        const element = document.createElement('span');
+        element.className = 'transcript-segment';
+        element.classList.toggle('low-confidence', transcriptModel.isLowConfidence(segment));
+        element.classList.toggle('corrected', segment.corrected);
+        element.title = segment.confidence !== null
+            ? `Впевненість: ${Math.round(segment.confidence * 100)}%. Натисніть, щоб виправити`
+            : 'Натисніть, щоб виправити';
+        element.innerHTML = transcriptModel.getWords(segment)
+            .map(word => word.uncertain ? `<mark class="uncertain-word">${escapeHtml(word.text)}</mark>` : escapeHtml(word.text))
+            .join('');
+        element.addEventListener('click', () => openSegmentMenu(segment, element));
+        elements.transcriptSegments.appendChild(element);
+        elements.transcriptSegments.appendChild(document.createTextNode(' '));
+    });
+}
+
+// Меню виправлення: інші варіанти розпізнавання і поле для власного тексту
+function openSegmentMenu(segment, anchor) {
+    const menu = elements.segmentMenu;
+    if (!menu) return;
+    
+    menu.innerHTML = `
+        <div class="segment-menu-options"></div>
+        <div class="segment-menu-edit">
+            <input type="text" class="api-key-input segment-menu-input">
+            <button class="btn-primary segment-menu-apply">Застосувати</button>
+        </div>
+    `;
+    
+    const options = menu.querySelector('.segment-menu-options');
+    if (!segment.alternatives.length) {
+        options.innerHTML = '<div class="session-meta">Інших варіантів немає</div>';
+    }
+    segment.alternatives.forEach(alternative => {
+        const option = document.createElement('button');
+        option.className = 'segment-option';
+        option.textContent = alternative;
+        option.addEventListener('click', () => correctSegment(segment, alternative));
+        options.appendChild(option);
+    });
+    
+    const input = menu.querySelector('.segment-menu-input');
+    input.value = segment.text;
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') correctSegment(segment, input.value);
+    });
+    menu.querySelector('.segment-menu-apply').addEventListener('click', () => correctSegment(segment, input.value));
+    
+    menu.style.top = `${anchor.offsetTop + anchor.offsetHeight + 4}px`;
+    menu.style.left = `${anchor.offsetLeft}px`;
+    menu.classList.add('active');
+    input.focus();
+}
+
+function closeSegmentMenu() {
+    if (!elements.segmentMenu) return;
+    elements.segmentMenu.classList.remove('active');
+    elements.segmentMenu.innerHTML = '';
+}
+
+// Виправлення сегмента: заміна в тексті, переклад лише цього сегмента, оновлення запису журналу й списку фраз
+function correctSegment(segment, text) {
+    const corrected = text.trim();
+    closeSegmentMenu();
+    if (!corrected || corrected === segment.text || !elements.englishText) return;
+    
+    const previous = segment.text;
+    const replaced = transcriptModel.replace(elements.englishText.value, segment, corrected);
+    if (!replaced) {
+        showNotification('Сегмент уже змінено в тексті', 'error');
+        renderTranscriptSegments();
+        return;
+    }
+    
+    elements.englishText.value = replaced.buffer;
+    if (dictationCursor !== null && dictationCursor > replaced.start) dictationCursor += replaced.delta;
+    
+    segment.alternatives = [previous].concat(segment.alternatives).filter(alternative => alternative !== corrected);
+    segment.corrected = true;
+    segment.translationPromise = translationService.translateText(segment.text, segment.sourceLang, segment.targetLang);
+    
+    if (phraseList.learn(previous, corrected, segment.sourceLang)) renderPhraseList();
+    renderTranscriptSegments();
+    // Решта сегментів повторно використовує готові переклади
+    translateText(elements.englishText.value);
+    checkForQuestion(segment.text, { includeUnterminated: true });
+    updateCorrectedLogEntry(segment);
+}
+
+async function updateCorrectedLogEntry(segment) {
+    const entry = voiceLog.find(item => item.id === segment.logEntryId);
+    if (!entry) return;
+    
+    entry.text = segment.text;
+    entry.translation = '';
+    entry.corrected = true;
+    updateLogDisplay();
+    
+    try {
+        const result = await segment.translationPromise;
+        entry.translation = result.success ? result.text : '[Переклад не доступний]';
+        entry.provider = result.service || null;
+    } catch (error) {
+        console.error('Помилка при отриманні перекладу для журналу:', error);
+        entry.translation = '[Помилка перекладу]';
+    }
+    
+    updateLogDisplay();
+    await historyReady;
+    sessionHistory.updateEntry(entry).catch(error => console.error('Помилка збереження запису історії:', error));
+}
+
+function fillSpeechToTextForm() {
+    if (elements.sttProvider && !elements.sttProvider.options.length) {
+        Object.keys(SPEECH_TO_TEXT_PROVIDER_TYPES).forEach(providerId => {
+            const option = document.createElement('option');
+            option.value = providerId;
+            option.textContent = SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].label;
+            elements.sttProvider.appendChild(option);
+        });
+    }
+    
+    const settings = speechToText.settings;
+    if (elements.sttProvider) elements.sttProvider.value = settings.provider;
+    if (elements.sttUrl) elements.sttUrl.value = settings.url;
+    if (elements.sttModel) elements.sttModel.value = settings.model;
+    if (elements.sttKey) elements.sttKey.value = settings.keyName;
+    if (elements.sttChunkSeconds) elements.sttChunkSeconds.value = settings.chunkSeconds;
+}
+
+function saveSpeechToTextHandler() {
+    const url = elements.sttUrl ? elements.sttUrl.value.trim() : '';
+    if (url && !/^https?:\/\//i.test(url)) {
+        showNotification('Адреса сервера має починатися з http:// або https://', 'error');
+        return;
+    }
+    
+    speechToText.updateSettings({
+        provider: elements.sttProvider ? elements.sttProvider.value : 'browser',
+        url: url,
+        model: (elements.sttModel && elements.sttModel.value.trim()) || 'whisper-1',
+        keyName: elements.sttKey ? elements.sttKey.value : '',
+        chunkSeconds: Math.min(Math.max(Number(elements.sttChunkSeconds && elements.sttChunkSeconds.value) || 8, 3), 60)
+    });
+    fillSpeechToTextForm();
+    
+    const ready = setupRecognition();
+    if (speechToText.settings.provider === 'whisper' && !speechToText.isAvailable('whisper')) {
+        showNotification('Запис через сервер недоступний у цьому браузері або не вказано адресу', 'error');
+    } else if (ready) {
+        showNotification('Налаштування розпізнавання збережено!');
+    } else {
+        showNotification('Немає доступного провайдера розпізнавання', 'error');
+    }
+}
+
+// Активний провайдер і доступність розпізнавання файлів
+function updateSpeechToTextStatus(providerId) {
+    if (elements.transcribeFileButton) {
+        elements.transcribeFileButton.classList.toggle('disabled', !speechToText.canTranscribeFiles());
+        elements.transcribeFileButton.title = speechToText.canTranscribeFiles()
+            ? 'Розпізнати аудіофайл (WAV, MP3, WebM)'
+            : 'Для розпізнавання файлів вкажіть Whisper-сумісний сервер у налаштуваннях (у локальному режимі — на localhost)';
+    }
+    if (!elements.sttStatus) return;
+    
+    const localOnly = privacyFilter.settings.localOnly;
+    elements.sttStatus.textContent = providerId
+        ? `Мікрофон: ${SPEECH_TO_TEXT_PROVIDER_TYPES[providerId].label}${providerId !== speechToText.settings.provider ? ' (вибраний провайдер недоступний)' : ''}`
+        : localOnly
+            ? 'Мікрофон недоступний: у локальному режимі потрібен Whisper-сервер на localhost'
+            : 'Мікрофон недоступний: браузер не підтримує розпізнавання, а сервер не налаштовано';
+}
+
+// Аудіофайл розпізнається сервером у сегменти з часом і проходить той самий шлях, що й диктування, у новій сесії
+async function transcribeFileHandler(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    if (!/\.(wav|mp3|webm)$/i.test(file.name) && !/^audio\/(wav|x-wav|wave|mpeg|mp3|webm)$/.test(file.type)) {
+        showNotification('Підтримуються файли WAV, MP3 і WebM', 'error');
+        return;
+    }
+    if (!speechToText.canTranscribeFiles()) {
+        showNotification('Для розпізнавання файлів вкажіть Whisper-сумісний сервер у налаштуваннях', 'error');
+        return;
+    }
+    if (fileTranscriptionController) {
+        showNotification('Попередній файл ще розпізнається', 'error');
+        return;
+    }
+    
+    fileTranscriptionController = new AbortController();
+    const signal = fileTranscriptionController.signal;
+    setFileTranscriptionState(`Розпізнавання «${file.name}»...`);
+    
+    try {
+        const result = await speechToText.transcribe(file, { lang: sourceLanguage, signal: signal, timeout: speechToText.fileTimeout });
+        if (!result.segments.length) {
+            showNotification('У файлі не знайдено мовлення', 'error');
+            return;
+        }
+        
+        await startNewSession(`Файл: ${file.name}`);
+        const origin = Date.now();
+        if (audioRecorder.enabled) {
+            const duration = Math.max(...result.segments.map(segment => segment.end));
+            saveRecording({
+                id: SessionHistory.createId(),
+                sessionId: sessionHistory.currentSessionId,
+                startedAt: origin,
+                endedAt: origin + duration * 1000,
+                mimeType: file.type,
+                blob: file,
+                size: file.size
+            });
+        }
+        // Сегменти перекладаються по черзі, щоб довгий файл не засипав сервіси перекладу запитами
+        const questions = [];
+        for (const segment of result.segments) {
+            if (signal.aborted) throw new DOMException('Розпізнавання скасовано', 'AbortError');
+            const startedAt = origin + segment.start * 1000;
+            const committed = commitDictationSegment({ text: segment.text, confidence: null, alternatives: [] }, {
+                startedAt: startedAt,
+                endedAt: origin + Math.max(segment.end, segment.start) * 1000,
+                createdAt: startedAt,
+                timestamp: formatDuration(segment.start * 1000)
+            }, true);
+            renderTranscriptSegments();
+            const segmentQuestions = findNewQuestions(committed.text, { includeUnterminated: true });
+            if (segmentQuestions.length) questions.push(segmentQuestions);
+            // Помилку перекладу сегмента вже показує журнал
+            await committed.translationPromise.catch(() => null);
+        }
+        if (elements.englishText) await translateText(elements.englishText.value);
+        showNotification(`Розпізнано сегментів: ${result.segments.length}`);
+        
+        // Кожне наступне запитання зупинило б генерацію попереднього, тож відповіді отримуються по черзі
+        for (const segmentQuestions of questions) {
+            if (signal.aborted) throw new DOMException('Розпізнавання скасовано', 'AbortError');
+            const request = requestAnswer(segmentQuestions.map(question => question.text).join(' '));
+            if (!request) continue;
+            segmentQuestions.forEach(question => questionDetector.markAnswered(question.text));
+            await request;
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showNotification('Розпізнавання файлу скасовано');
+        } else {
+            console.error('Помилка розпізнавання файлу:', error);
+            showNotification(`Помилка розпізнавання файлу: ${error.message}`, 'error');
+        }
+    } finally {
+        fileTranscriptionController = null;
+        setFileTranscriptionState('');
+    }
+}
+
+function setFileTranscriptionState(message) {
+    if (elements.sttStatus && message) elements.sttStatus.textContent = message;
+    if (elements.cancelFileTranscription) elements.cancelFileTranscription.style.display = message ? '' : 'none';
+    if (!message) updateSpeechToTextStatus(speechToText.resolveProvider());
+}
+
+// Автоозвучення перекладу кожного фінального сегмента
+async function autoSpeakTranslation(translationPromise, lang) {
+    if (!speechPlayer.settings.autoSpeak) return;
+    
+    try {
+        const result = await translationPromise;
+        if (result.success) speechPlayer.speak(result.text, lang);
+    } catch (error) {
+        console.error('Помилка автоозвучення:', error);
+    }
+}
+
+// Мовна пара для співрозмовника: B говорить мовою перекладу і отримує переклад мовою оригіналу
+function getSpeakerLanguages(speaker) {
+    return speaker === 'B'
+        ? { sourceLang: targetLanguage, targetLang: sourceLanguage }
+        : { sourceLang: sourceLanguage, targetLang: targetLanguage };
+}
+
+function commitConversationTurn(speaker, text, timing = {}) {
+    const languages = getSpeakerLanguages(speaker);
+    const translation = translationService.translateText(text, languages.sourceLang, languages.targetLang);
+    addToLog(text, translation, Object.assign({ speaker }, languages, timing));
+    autoSpeakTranslation(translation, languages.targetLang);
+}
+
+function setConversationMode(enabled) {
+    conversationMode = enabled;
+    localStorage.setItem('conversationMode', String(enabled));
+    
+    // Звичайний запис і push-to-talk не працюють одночасно
+    if (recordingSession && recordingSession.active) recordingSession.stop();
+    activeSpeaker = null;
+    // Репліка співрозмовника могла лишити розпізнавання на його мові
+    if (recognition) recognition.lang = LANGUAGES[sourceLanguage].locale;
+    
+    if (elements.conversationModeToggle) elements.conversationModeToggle.checked = enabled;
+    if (elements.conversationPanel) elements.conversationPanel.classList.toggle('active', enabled);
+    if (elements.micButton) elements.micButton.style.display = enabled ? 'none' : '';
+    updateSpeakerButtons();
+    updateLogDisplay();
+}
+
+function updateSpeakerButtons() {
+    [['A', elements.speakerAButton], ['B', elements.speakerBButton]].forEach(([speaker, button]) => {
+        if (!button) return;
+        const languages = getSpeakerLanguages(speaker);
+        const label = button.querySelector('.speaker-label');
+        if (label) {
+            label.textContent = `${speaker}: ${LANGUAGES[languages.sourceLang].label} → ${LANGUAGES[languages.targetLang].label}`;
+        }
+        button.classList.toggle('recording', activeSpeaker === speaker && recordingSession && recordingSession.active);
+    });
+}
+
+// Початок репліки: розпізнавання перемикається на мову співрозмовника
+function startSpeakerTurn(speaker) {
+    if (!recordingSession) return;
+    
+    activeSpeaker = speaker;
+    recognition.lang = LANGUAGES[getSpeakerLanguages(speaker).sourceLang].locale;
+    if (recordingSession.active) {
+        recordingSession.restart();
+    } else {
+        recordingSession.start();
+    }
+    updateSpeakerButtons();
+}
+
+// Фінальні результати надходять і після зупинки, тому activeSpeaker зберігається до наступної репліки
+function endSpeakerTurn() {
+    if (!recordingSession || !recordingSession.active) return;
+    recordingSession.stop();
+    updateSpeakerButtons();
+}
+
+// Кнопка працює, поки її утримують (мишею, дотиком або пробілом/Enter)
+function setupPushToTalk(button, speaker) {
+    if (!button) return;
+    
+    safeAddEventListener(button, 'pointerdown', (event) => {
+        event.preventDefault();
+        startSpeakerTurn(speaker);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(eventName => {
+        safeAddEventListener(button, eventName, () => {
+            if (activeSpeaker === speaker) endSpeakerTurn();
+        });
+    });
+    safeAddEventListener(button, 'keydown', (event) => {
+        if ((event.key === ' ' || event.key === 'Enter') && !event.repeat) {
+            event.preventDefault();
+            startSpeakerTurn(speaker);
+        }
+    });
+    safeAddEventListener(button, 'keyup', (event) => {
+        if (event.key === ' ' || event.key === 'Enter') endSpeakerTurn();
+    });
+}
+
+function showInterimTranscript(text) {
+    if (!elements.interimTranscript) return;
+    elements.interimTranscript.textContent = text;
+    elements.interimTranscript.classList.toggle('active', Boolean(text.trim()));
+}
+
+function rememberDictationCursor() {
+    if (elements.englishText) dictationCursor = elements.englishText.selectionEnd;
+}
+
+// Вставка тексту в позицію курсора з пробілами до й після, без заміни введеного вручну
+function insertAtDictationCursor(text) {
+    const field = elements.englishText;
+    if (!field) return;
+    
+    const value = field.value;
+    const position = dictationCursor === null ? value.length : Math.min(dictationCursor, value.length);
+    const before = value.slice(0, position);
+    const after = value.slice(position);
+    const spaceBefore = before && !/\s$/.test(before) ? ' ' : '';
+    const spaceAfter = after && !/^\s/.test(after) ? ' ' : '';
+    
+    field.value = before + spaceBefore + text + spaceAfter + after;
+    dictationCursor = position + spaceBefore.length + text.length;
+    
+    if (document.activeElement === field) {
+        field.setSelectionRange(dictationCursor, dictationCursor);
+    }
+}
+
+// Переклад тексту частинами: сегменти диктування перекладаються один раз, решта — через кеш сервісу
+async function translateTranscriptBuffer(text, signal) {
+    const parts = transcriptModel.split(text);
+    const results = await Promise.all(parts.map(part => translateTranscriptPart(part, signal)));
+    
+    return {
+        success: results.every(result => result.success !== false),
+        text: results.map(result => result.text).join(''),
+        service: Array.from(new Set(results.map(result => result.service).filter(Boolean))).join(', '),
+        cached: results.every(result => result.cached || result.reused)
+    };
+}
+
+async function translateTranscriptPart(part, signal) {
+    if (!part.text.trim()) {
+        return { success: true, text: part.text, service: null, cached: true };
+    }
+    
+    const segment = part.segment;
+    if (segment && segment.sourceLang === sourceLanguage && segment.targetLang === targetLanguage) {
+        const result = await segment.translationPromise;
+        return Object.assign({}, result, { reused: true });
+    }
+    
+    const leading = part.text.match(/^\s*/)[0];
+    const trailing = part.text.match(/\s*$/)[0];
+    const result = await translationService.translateText(part.text.trim(), sourceLanguage, targetLanguage, { signal });
+    return Object.assign({}, result, { text: leading + result.text + trailing });
+}
+
+// Переклад під час набору запускається лише після паузи
+const debouncedInputTranslation = debounce(() => {
+    if (!elements.englishText || !elements.englishText.value.trim()) return;
+    translateText(elements.englishText.value);
+    checkForQuestion(elements.englishText.value);
+}, TRANSLATION_DEBOUNCE_MS);
+
+function handleTextInput() {
+    if (!elements.englishText) return;
+    renderTranscriptSegments();
+    
+    // Автоматичний переклад при зміні тексту
+    if (elements.englishText.value.trim()) {
+        debouncedInputTranslation();
+    } else {
+        debouncedInputTranslation.cancel();
+        cancelPendingTranslation();
+        if (elements.ukrainianText) elements.ukrainianText.value = '';
+        if (elements.translationStatus) {
+            elements.translationStatus.textContent = '';
+            elements.translationStatus.className = 'status-indicator';
+        }
+    }
+}
+
+// Скасування попереднього запиту перекладу, якщо він ще виконується
+function cancelPendingTranslation() {
+    translationRequestId++;
+    if (translationController) {
+        translationController.abort();
+        translationController = null;
+    }
+}
+
+async function translateText(text) {
+    if (!text.trim() || !elements.ukrainianText || !elements.translationStatus) return;
+    
+    cancelPendingTranslation();
+    const requestId = translationRequestId;
+    const controller = new AbortController();
+    translationController = controller;
+    
+    // Оновлення статусу перекладу
+    elements.translationStatus.textContent = 'Переклад...';
+    elements.translationStatus.className = 'status-indicator status-translating';
+    
+    try {
+        const result = await translateTranscriptBuffer(text, controller.signal);
+        
+        // Відповідь на застарілий запит не показуємо
+        if (requestId !== translationRequestId) return;
+        translationController = null;
+        
+        elements.ukrainianText.value = result.text;
+        const source = result.cached ? `${result.service}, з кешу` : result.service;
+        elements.translationStatus.textContent = `Переклад завершено (${source})!`;
+        elements.translationStatus.className = 'status-indicator status-success';
+        
+    } catch (error) {
+        if (error.name === 'AbortError' || requestId !== translationRequestId) return;
+        translationController = null;
+        console.error('Помилка перекладу:', error);
+        elements.translationStatus.textContent = 'Помилка перекладу';
+        elements.translationStatus.className = 'status-indicator status-error';
+    }
+}
+
+// Нові запитання з тексту надсилаються одним зверненням; вже опрацьовані повторно не надсилаються
+function checkForQuestion(text, options = {}) {
+    const newQuestions = findNewQuestions(text, options);
+    if (!newQuestions.length) return;
+    
+    // Запитання без налаштованого постачальника не позначається, щоб його поставили пізніше
+    const request = requestAnswer(newQuestions.map(question => question.text).join(' '));
+    if (!request) return;
+    newQuestions.forEach(question => questionDetector.markAnswered(question.text));
+}
+
+// Запитання в тексті, на які ще не отримано відповіді; індикатор показує, чи є запитання взагалі
+function findNewQuestions(text, options = {}) {
+    if (!elements.questionIndicator || !elements.answersContainer) return [];
+    
+    const questions = questionDetector.detect(text, sourceLanguage, options);
+    elements.questionIndicator.style.display = questions.length ? 'block' : 'none';
+    return questions.filter(question => !questionDetector.isAnswered(question.text));
+}
+
+// Системна інструкція для Q&A відповідно до обраної мовної пари
+function buildQuestionPrompt() {
+    const source = LANGUAGES[sourceLanguage].promptName;
+    const target = LANGUAGES[targetLanguage].promptName;
+    return `The user's question was spoken in ${source}. Answer concisely in ${target}.`;
+}
+
+// Запитання додається до діалогу Q&A, відповідь з'являється частинами під час генерації.
+// Повертає проміс відповіді або null, якщо запитання не поставлено
+function requestAnswer(question) {
+    if (!elements.answersContainer) return null;
+    
+    if (!answerProviders.getAvailable().length) {
+        elements.answersContainer.innerHTML = '<div class="answer"><p>Для отримання відповідей додайте API ключ або локальну модель у налаштуваннях API.</p></div>';
+        return null;
+    }
+    
+    if (qaThread.isDuplicate(question)) return null;
+    
+    return qaThread.ask(question, getQaRequestOptions(targetLanguage));
+}
+
+function getQaRequestOptions(lang) {
+    return {
+        lang: lang,
+        defaultPrompt: buildQuestionPrompt(),
+        transcript: elements.englishText ? elements.englishText.value : '',
+        onUpdate: updateQaTurn
+    };
+}
+
+function stopAnswerHandler() {
+    qaThread.stop();
+}
+
+function regenerateAnswerHandler() {
+    if (!qaThread.turns.length) return;
+    
+    if (!answerProviders.getAvailable().length) {
+        showNotification('Немає налаштованих постачальників відповідей', 'error');
+        return;
+    }
+    const lastTurn = qaThread.turns[qaThread.turns.length - 1];
+    qaThread.regenerate(getQaRequestOptions(lastTurn.lang || targetLanguage));
+}
+
+function clearQaHistoryHandler() {
+    if (!qaThread.turns.length) return;
+    if (!confirm('Очистити історію запитань і відповідей?')) return;
+    
+    qaThread.clear();
+    renderQaThread();
+}
+
+// Переклад відповіді мовою перекладу; блоки коду залишаються без змін
+// Відповідь генерується мовою перекладу (turn.lang), тож перекладаємо її мовою оригіналу;
+// відповідь іншою мовою — мовою перекладу
+function getAnswerTranslationPair(turn) {
+    const answerLanguage = turn.lang || targetLanguage;
+    return {
+        sourceLang: answerLanguage,
+        targetLang: answerLanguage === targetLanguage ? sourceLanguage : targetLanguage
+    };
+}
+
+async function translateAnswerHandler(turn, button) {
+    button.disabled = true;
+    const pair = getAnswerTranslationPair(turn);
+    
+    try {
+        const parts = turn.answer.split(/(^\s*```[\s\S]*?^\s*```[^\n]*$)/m);
+        const translated = await Promise.all(parts.map(async (part, index) => {
+            // Непарні частини — блоки коду
+            if (index % 2 === 1 || !part.trim()) return part;
+            
+            const result = await translationService.translateText(part, pair.sourceLang, pair.targetLang);
+            if (!result.success) throw new Error(result.error || 'Переклад недоступний');
+            // Переноси рядків навколо блоків коду потрібні для розмітки
+            return part.match(/^\s*/)[0] + result.text.trim() + part.match(/\s*$/)[0];
+        }));
+        
+        turn.translation = translated.join('');
+        qaThread.save();
+        renderQaThread();
+    } catch (error) {
+        console.error('Помилка перекладу відповіді:', error);
+        showNotification('Не вдалося перекласти відповідь', 'error');
+        button.disabled = false;
+    }
+}
+
+// Копіювання окремого блоку коду з відповіді
+function copyCodeBlockHandler(event) {
+    const button = event.target.closest('.code-copy');
+    if (!button) return;
+    
+    const code = button.closest('.code-block').querySelector('code').textContent;
+    navigator.clipboard.writeText(code)
+        .then(() => showNotification('Код скопійовано в буфер обміну!'))
+        .catch(() => showNotification('Не вдалося скопіювати код', 'error'));
+}
+
+function saveQaSettingsHandler() {
+    qaThread.updateSettings({ systemPrompt: elements.qaSystemPrompt.value });
+    showNotification('Налаштування Q&A збережено!');
+}
+
+// Під час генерації оновлюється лише текст відповіді, а не весь список
+function updateQaTurn(turn) {
+    if (!elements.answersContainer) return;
+    
+    const turnElement = elements.answersContainer.querySelector(`.qa-turn[data-id="${turn.id}"]`);
+    if (!turnElement || turn.status !== 'streaming') {
+        renderQaThread();
+        renderAnswerProviders();
+        if (turn.status === 'done') saveAnswerToHistory(turn);
+        return;
+    }
+    turnElement.querySelector('.answer-text').innerHTML = markdownRenderer.render(turn.answer);
+    elements.answersContainer.scrollTop = elements.answersContainer.scrollHeight;
+}
+
+const QA_STATUS_LABELS = {
+    stopped: 'Генерацію зупинено',
+    error: 'Помилка отримання відповіді. Перевірте API ключ і з\'єднання.'
+};
+
+function renderQaThread() {
+    if (!elements.answersContainer) return;
+    
+    const busy = qaThread.isBusy();
+    if (elements.stopAnswer) elements.stopAnswer.disabled = !busy;
+    if (elements.regenerateAnswer) elements.regenerateAnswer.disabled = busy || !qaThread.turns.length;
+    
+    if (!qaThread.turns.length) {
+        elements.answersContainer.innerHTML = '<p>Тут будуть відображатись відповіді на ваші запитання. Для роботи необхідно налаштувати постачальника відповідей.</p>';
+        return;
+    }
+    
+    elements.answersContainer.innerHTML = '';
+    qaThread.turns.forEach(turn => {
+        const turnElement = document.createElement('div');
+        turnElement.className = 'qa-turn';
+        turnElement.dataset.id = turn.id;
+        turnElement.innerHTML = `
+            <div class="qa-question"></div>
+            <div class="answer">
+                <div class="answer-text markdown-body"></div>
+                <div class="answer-translation markdown-body"></div>
+                <div class="answer-meta"></div>
+            </div>
+        `;
+        turnElement.querySelector('.qa-question').textContent = turn.question;
+        turnElement.querySelector('.answer-text').innerHTML = markdownRenderer.render(turn.answer);
+        
+        const translationElement = turnElement.querySelector('.answer-translation');
+        if (turn.translation) {
+            translationElement.innerHTML = markdownRenderer.render(turn.translation);
+        } else {
+            translationElement.remove();
+        }
+        
+        const meta = turnElement.querySelector('.answer-meta');
+        if (turn.status === 'streaming') {
+            meta.innerHTML = turn.answer ? '' : 'Шукаємо відповідь... <span class="loading"></span>';
+        } else if (QA_STATUS_LABELS[turn.status]) {
+            meta.textContent = QA_STATUS_LABELS[turn.status];
+            meta.classList.add(`qa-status-${turn.status}`);
+        }
+        if (turn.status === 'done' && turn.provider) {
+            const providerLabel = document.createElement('span');
+            providerLabel.className = 'log-pair';
+            providerLabel.textContent = turn.provider;
+            meta.appendChild(providerLabel);
+        }
+        if (turn.status !== 'streaming' && turn.answer) {
+            const answerLanguage = turn.lang || targetLanguage;
+            meta.appendChild(createSpeakButton(() => speechPlayer.speak(turn.answer, answerLanguage), 'Озвучити відповідь'));
+            
+            const translateButton = document.createElement('button');
+            translateButton.className = 'speak-button';
+            translateButton.title = `Перекласти відповідь (${LANGUAGES[getAnswerTranslationPair(turn).targetLang].label})`;
+            translateButton.setAttribute('aria-label', translateButton.title);
+            translateButton.innerHTML = '<i class="material-icons">translate</i>';
+            translateButton.addEventListener('click', () => translateAnswerHandler(turn, translateButton));
+            meta.appendChild(translateButton);
+        }
+        elements.answersContainer.appendChild(turnElement);
+    });
+    elements.answersContainer.scrollTop = elements.answersContainer.scrollHeight;
+}
+
+function populateLanguageSelects() {
+    [elements.sourceLangSelect, elements.targetLangSelect].forEach(select => {
+        if (!select) return;
+        select.innerHTML = '';
+        Object.keys(LANGUAGES).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${LANGUAGES[code].name} (${LANGUAGES[code].label})`;
+            select.appendChild(option);
+        });
+    });
+}
+
+function updateLanguageUI() {
+    const source = LANGUAGES[sourceLanguage];
+    const target = LANGUAGES[targetLanguage];
+    
+    if (elements.sourceLangSelect) elements.sourceLangSelect.value = sourceLanguage;
+    if (elements.targetLangSelect) elements.targetLangSelect.value = targetLanguage;
+    if (elements.sourceHeading) elements.sourceHeading.textContent = `Оригінальний текст (${source.label})`;
+    if (elements.targetHeading) elements.targetHeading.textContent = `Переклад (${target.label})`;
+    if (elements.englishText) elements.englishText.placeholder = `Текст мовою: ${source.name.toLowerCase()}...`;
+    if (elements.ukrainianText) elements.ukrainianText.placeholder = `Переклад мовою: ${target.name.toLowerCase()}...`;
+}
+
+// Зміна мовної пари: оновлює розпізнавання, заголовки, журнал і зберігає вибір
+function setLanguagePair(source, target) {
+    if (!LANGUAGES[source] || !LANGUAGES[target]) return;
+    
+    // Однакові мови не мають сенсу — міняємо пару місцями
+    if (source === target) {
+        if (source !== sourceLanguage) {
+            target = sourceLanguage;
+        } else {
+            source = targetLanguage;
+        }
+    }
+    
+    const sourceChanged = source !== sourceLanguage;
+    sourceLanguage = source;
+    targetLanguage = target;
+    localStorage.setItem('languagePair', JSON.stringify({ source, target }));
+    
+    if (recognition) {
+        recognition.lang = LANGUAGES[sourceLanguage].locale;
+        // Нова локаль застосовується лише після перезапуску сесії
+        if (sourceChanged) recordingSession.restart();
+    }
+    
+    updateLanguageUI();
+    updateSpeakerButtons();
+    populateVoiceSelect();
+    updateLogDisplay();
+    renderOfflineDictionary();
+    renderGlossary();
+    renderPhraseList();
+    renderVoiceCommands();
+    
+    if (elements.englishText && elements.englishText.value.trim()) {
+        translateText(elements.englishText.value);
+    }
+}
+
+function swapLanguagesHandler() {
+    // Переклад стає новим оригіналом
+    if (elements.englishText && elements.ukrainianText && elements.ukrainianText.value.trim()) {
+        elements.englishText.value = elements.ukrainianText.value;
+    }
+    setLanguagePair(targetLanguage, sourceLanguage);
+}
+
+function createSpeakButton(onClick, title) {
+    const button = document.createElement('button');
+    button.className = 'speak-button';
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.innerHTML = '<i class="material-icons">volume_up</i>';
+    button.disabled = !speechPlayer.isSupported();
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function speakTranslationHandler() {
+    if (!elements.ukrainianText || !elements.ukrainianText.value.trim()) return;
+    
+    if (speechPlayer.speaking) {
+        speechPlayer.stop();
+    } else {
+        speechPlayer.speak(elements.ukrainianText.value, targetLanguage);
+    }
+}
+
+function setupSpeechSettings() {
+    if (!speechPlayer.isSupported()) {
+        if (elements.speakTranslation) elements.speakTranslation.disabled = true;
+        return;
+    }
+    
+    if (elements.ttsRate) elements.ttsRate.value = speechPlayer.settings.rate;
+    if (elements.ttsPitch) elements.ttsPitch.value = speechPlayer.settings.pitch;
+    if (elements.ttsAutoSpeak) elements.ttsAutoSpeak.checked = speechPlayer.settings.autoSpeak;
+    
+    // Голоси в Chrome завантажуються асинхронно
+    speechPlayer.synth.addEventListener('voiceschanged', populateVoiceSelect);
+    populateVoiceSelect();
+}
+
+// Голоси лише для мови перекладу
+function populateVoiceSelect() {
+    if (!elements.ttsVoiceSelect) return;
+    
+    const voices = speechPlayer.getVoices(targetLanguage);
+    elements.ttsVoiceSelect.innerHTML = '';
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = voices.length
+        ? 'Голос за замовчуванням'
+        : `Немає ${speechPlayer.isLocalOnly() ? 'локальних голосів' : 'голосів'} для ${LANGUAGES[targetLanguage].label}`;
+    elements.ttsVoiceSelect.appendChild(defaultOption);
+    
+    voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceURI;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        elements.ttsVoiceSelect.appendChild(option);
+    });
+    elements.ttsVoiceSelect.value = speechPlayer.settings.voices[targetLanguage] || '';
+}
+
+function copyToClipboard(textarea) {
+    if (!textarea) return;
+    
+    textarea.select();
+    document.execCommand('copy');
+    showNotification('Текст скопійовано в буфер обміну!');
+}
+
+function clearAllText() {
+    debouncedInputTranslation.cancel();
+    cancelPendingTranslation();
+    transcriptModel.reset();
+    renderTranscriptSegments();
+    closeSegmentMenu();
+    dictationCursor = null;
+    showInterimTranscript('');
+    if (elements.englishText) elements.englishText.value = '';
+    if (elements.ukrainianText) elements.ukrainianText.value = '';
+    if (elements.translationStatus) {
+        elements.translationStatus.textContent = '';
+        elements.translationStatus.className = 'status-indicator';
+    }
+    if (elements.questionIndicator) elements.questionIndicator.style.display = 'none';
+    questionDetector.reset();
+}
+
+function populateAnswerProviderTypes() {
+    if (!elements.answerProviderType) return;
+    
+    elements.answerProviderType.innerHTML = '';
+    Object.keys(ANSWER_PROVIDER_TYPES).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = ANSWER_PROVIDER_TYPES[type].label;
+        elements.answerProviderType.appendChild(option);
+    });
+}
+
+// Форма редагування: обраний постачальник або порожня форма для нового
+function fillAnswerProviderForm(id) {
+    if (!elements.answerProviderSelect) return;
+    
+    elements.answerProviderSelect.innerHTML = '';
+    answerProviders.providers.concat([{ id: '', name: '+ Новий постачальник' }]).forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        elements.answerProviderSelect.appendChild(option);
+    });
+    
+    const provider = answerProviders.get(id);
+    elements.answerProviderSelect.value = provider ? provider.id : '';
+    elements.answerProviderName.value = provider ? provider.name : '';
+    elements.answerProviderType.value = provider ? provider.type : 'openai';
+    elements.answerProviderUrl.value = provider ? provider.url : '';
+    elements.answerProviderModel.value = provider ? provider.model : '';
+    elements.answerProviderKey.value = provider && provider.keyName ? provider.keyName : '';
+    elements.testAnswerProvider.disabled = !provider;
+    elements.removeAnswerProvider.disabled = !provider;
+    updateAnswerProviderDefaults();
+}
+
+function updateAnswerProviderDefaults() {
+    const type = ANSWER_PROVIDER_TYPES[elements.answerProviderType.value];
+    elements.answerProviderUrl.placeholder = type.defaultUrl;
+    elements.answerProviderModel.placeholder = type.defaultModel;
+}
+
+function saveAnswerProviderHandler() {
+    if (!elements.answerProviderName) return;
+    
+    try {
+        const provider = answerProviders.upsert({
+            id: elements.answerProviderSelect.value || null,
+            name: elements.answerProviderName.value.trim(),
+            type: elements.answerProviderType.value,
+            url: elements.answerProviderUrl.value.trim(),
+            model: elements.answerProviderModel.value.trim(),
+            keyName: elements.answerProviderKey.value
+        });
+        fillAnswerProviderForm(provider.id);
+        renderAnswerProviders();
+        renderSecrets();
+        showNotification(`Постачальника ${provider.name} збережено!`);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function removeAnswerProviderHandler() {
+    const provider = answerProviders.get(elements.answerProviderSelect.value);
+    if (!provider) return;
+    if (!confirm(`Видалити постачальника ${provider.name}?`)) return;
+    
+    answerProviders.remove(provider.id);
+    fillAnswerProviderForm(answerProviders.providers.length ? answerProviders.providers[0].id : '');
+    renderAnswerProviders();
+}
+
+async function testAnswerProviderHandler(id) {
+    const provider = answerProviders.get(id);
+    if (!provider) return;
+    
+    showNotification(`Перевірка ${provider.name}...`);
+    const result = await answerProviders.test(id);
+    renderAnswerProviders();
+    
+    if (result.success) {
+        showNotification(`${provider.name} працює (${result.duration}мс): "${result.text}"`);
+    } else {
+        showNotification(`${provider.name} недоступний: ${result.error}`, 'error');
+    }
+}
+
+// Список постачальників: стан вимикача, увімкнення, порядок і перевірка
+function renderAnswerProviders() {
+    if (!elements.answerProviderList) return;
+    
+    const statuses = answerProviders.getStatus();
+    elements.answerProviderList.innerHTML = '';
+    
+    statuses.forEach((status, index) => {
+        const row = document.createElement('div');
+        row.className = 'dictionary-row';
+        const state = status.configured ? formatServiceState(status) : { label: 'Немає ключа', className: 'service-state-disabled' };
+        row.innerHTML = `
+            <label class="glossary-flag"><input type="checkbox" class="provider-enabled"${status.enabled ? ' checked' : ''}></label>
+            <span>${escapeHtml(status.name)}</span>
+            <span class="log-pair">${escapeHtml(status.model)}</span>
+            <span class="service-state ${state.className}" title="${escapeHtml(status.circuit.lastError || '')}">${state.label}</span>
+            <button class="btn-secondary icon-only provider-up" title="Вище"${index === 0 ? ' disabled' : ''}><i class="material-icons">arrow_upward</i></button>
+            <button class="btn-secondary icon-only provider-down" title="Нижче"${index === statuses.length - 1 ? ' disabled' : ''}><i class="material-icons">arrow_downward</i></button>
+            <button class="btn-secondary icon-only provider-test" title="Перевірити з'єднання"><i class="material-icons">network_check</i></button>
+        `;
+        
+        row.querySelector('.provider-enabled').addEventListener('change', (event) => {
+            answerProviders.setEnabled(status.id, event.target.checked);
+        });
+        row.querySelector('.provider-up').addEventListener('click', () => {
+            answerProviders.move(status.id, -1);
+            renderAnswerProviders();
+        });
+        row.querySelector('.provider-down').addEventListener('click', () => {
+            answerProviders.move(status.id, 1);
+            renderAnswerProviders();
+        });
+        row.querySelector('.provider-test').addEventListener('click', () => testAnswerProviderHandler(status.id));
+        
+        elements.answerProviderList.appendChild(row);
+    });
+}
+
+function formatSecretStoreStatus() {
+    if (!secretStore.isSupported()) return 'Шифрування недоступне в цьому браузері (потрібен HTTPS або localhost)';
+    if (secretStore.mode === 'session') return 'Ключі зберігаються лише в пам\'яті до закриття вкладки';
+    if (secretStore.isLocked()) {
+        // Ключ зі старих налаштувань уже прибрано з диска; без пароля він зникне після закриття вкладки
+        const pending = Object.keys(answerProviders.pendingKeys).length
+            ? '. Ключ зі старих налаштувань поки лише в пам\'яті й буде втрачений після закриття вкладки'
+            : '';
+        return (secretStore.hasVault()
+            ? 'Сховище ключів заблоковано — введіть пароль'
+            : 'Задайте пароль, щоб зберігати ключі в зашифрованому вигляді') + pending;
+    }
+    return 'Сховище ключів розблоковано (AES-GCM)';
+}
+
+// Сервіси, для яких ключ можна перевірити й прив'язати під час збереження
+function getSecretTargets() {
+    const answerTargets = answerProviders.providers.map(provider => ({
+        value: `answer:${provider.id}`,
+        label: `Q&A: ${provider.name}`,
+        keyName: provider.keyName
+    }));
+    const translationTargets = customProviders.map(provider => ({
+        value: `translation:${provider.name}`,
+        label: `Переклад: ${provider.name}`,
+        keyName: provider.keyName
+    }));
+    const speechTarget = {
+        value: 'stt:whisper',
+        label: `Розпізнавання: ${SPEECH_TO_TEXT_PROVIDER_TYPES.whisper.label}`,
+        keyName: speechToText.settings.keyName
+    };
+    return answerTargets.concat(translationTargets, [speechTarget]);
+}
+
+function populateSecretSelect(select, emptyLabel) {
+    if (!select) return;
+    
+    const current = select.value;
+    select.innerHTML = '';
+    [{ value: '', label: emptyLabel }].concat(secretStore.getNames().map(name => ({ value: name, label: name }))).forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.value;
+        option.textContent = item.label;
+        select.appendChild(option);
+    });
+    select.value = current;
+}
+
+// Стан сховища, список ключів (лише назви й останні символи) і списки вибору ключа
+function renderSecrets() {
+    if (elements.secretStoreStatus) elements.secretStoreStatus.textContent = formatSecretStoreStatus();
+    if (elements.secretStorageMode) elements.secretStorageMode.value = secretStore.mode;
+    
+    const locked = secretStore.isLocked();
+    if (elements.unlockSecrets) elements.unlockSecrets.style.display = locked ? '' : 'none';
+    if (elements.lockSecrets) elements.lockSecrets.style.display = !locked && secretStore.mode === 'encrypted' ? '' : 'none';
+    if (elements.secretPassphrase) elements.secretPassphrase.style.display = locked || secretStore.mode === 'session' ? '' : 'none';
+    if (elements.saveApiKey) elements.saveApiKey.disabled = locked;
+    
+    populateSecretSelect(elements.answerProviderKey, 'Без ключа (локальна модель)');
+    populateSecretSelect(elements.customProviderKey, 'Без ключа');
+    populateSecretSelect(elements.sttKey, 'Без ключа (локальний сервер)');
+    
+    if (elements.secretValidateTarget) {
+        elements.secretValidateTarget.innerHTML = '<option value="">Не перевіряти й не прив\'язувати</option>';
+        getSecretTargets().forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.value;
+            option.textContent = target.label;
+            elements.secretValidateTarget.appendChild(option);
+        });
+    }
+    
+    if (!elements.secretList) return;
+    elements.secretList.innerHTML = '';
+    const targets = getSecretTargets();
+    
+    secretStore.getNames().forEach(name => {
+        const usedBy = targets.filter(target => target.keyName === name).map(target => target.label);
+        const row = document.createElement('div');
+        row.className = 'dictionary-row';
+        row.innerHTML = `
+            <span>${escapeHtml(name)}</span>
+            <span class="log-pair">${escapeHtml(secretStore.mask(name))}</span>
+            <span class="service-metric">${usedBy.length ? escapeHtml(usedBy.join(', ')) : 'не використовується'}</span>
+        `;
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-secondary icon-only service-remove';
+        removeButton.title = 'Видалити ключ';
+        removeButton.innerHTML = '<i class="material-icons">delete</i>';
+        removeButton.addEventListener('click', () => removeSecretHandler(name));
+        row.appendChild(removeButton);
+        
+        elements.secretList.appendChild(row);
+    });
+}
+
+// Перевірка ключа запитом до сервісу, для якого він призначений
+async function validateSecret(target, value) {
+    const [kind, id] = target.split(/:(.*)/);
+    
+    if (kind === 'answer') {
+        return answerProviders.test(id, value);
+    }
+    if (kind === 'stt') {
+        return speechToText.test(value);
+    }
+    
+    const service = translationService.services.find(item => item.name === id);
+    if (!service) return { success: false, error: `Невідомий сервіс: ${id}` };
+    try {
+        const provider = Object.assign({}, service.provider, { keyName: '', apiKey: value });
+        const result = await translationService.runProvider(provider, 'Hello', 'en', 'uk', null, service.timeout);
+        return { success: true, text: result.text };
+    } catch (error) {
+        return { success: false, error: error.message.split(value).join('••••') };
+    }
+}
+
+// Прив'язка ключа до постачальника відповідей, сервера розпізнавання або власного сервісу перекладу
+function bindSecret(target, name) {
+    const [kind, id] = target.split(/:(.*)/);
+    
+    if (kind === 'answer') {
+        const provider = answerProviders.get(id);
+        if (!provider) return;
+        provider.keyName = name;
+        delete provider.apiKey;
+        delete answerProviders.pendingKeys[provider.id];
+        answerProviders.save();
+        return;
+    }
+    if (kind === 'stt') {
+        speechToText.updateSettings({ keyName: name });
+        fillSpeechToTextForm();
+        return;
+    }
+    
+    customProviders.filter(provider => provider.name === id).forEach(provider => {
+        provider.keyName = name;
+        delete provider.apiKey;
+    });
+    const service = translationService.services.find(item => item.name === id);
+    if (service) {
+        service.provider.keyName = name;
+        delete service.provider.apiKey;
+    }
+    saveCustomProviders();
+}
+
+async function saveApiKeyHandler() {
+    if (!elements.apiKeyInput || !elements.secretName) return;
+    
+    const name = elements.secretName.value.trim();
+    const value = elements.apiKeyInput.value.trim();
+    const target = elements.secretValidateTarget ? elements.secretValidateTarget.value : '';
+    
+    if (!name || !value) {
+        showNotification('Вкажіть назву та значення ключа', 'error');
+        return;
+    }
+    
+    if (target) {
+        elements.saveApiKey.disabled = true;
+        const result = await validateSecret(target, value);
+        elements.saveApiKey.disabled = false;
+        if (!result.success && !confirm(`Ключ не пройшов перевірку: ${result.error}. Зберегти все одно?`)) return;
+    }
+    
+    try {
+        await secretStore.set(name, value);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    if (target) bindSecret(target, name);
+    
+    elements.secretName.value = '';
+    elements.apiKeyInput.value = '';
+    renderSecrets();
+    renderAnswerProviders();
+    showNotification(`Ключ ${name} збережено!`);
+}
+
+async function removeSecretHandler(name) {
+    if (!confirm(`Видалити ключ ${name}?`)) return;
+    
+    try {
+        await secretStore.remove(name);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    renderSecrets();
+    renderAnswerProviders();
+}
+
+async function unlockSecretsHandler() {
+    if (!elements.secretPassphrase) return;
+    
+    try {
+        await secretStore.unlock(elements.secretPassphrase.value);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    elements.secretPassphrase.value = '';
+    await migrateLegacyKeys();
+    renderSecrets();
+    renderAnswerProviders();
+    fillAnswerProviderForm(elements.answerProviderSelect.value);
+    showNotification('Сховище ключів розблоковано');
+}
+
+function lockSecretsHandler() {
+    secretStore.lock();
+    renderSecrets();
+    renderAnswerProviders();
+}
+
+async function changeSecretModeHandler() {
+    const mode = elements.secretStorageMode.value;
+    
+    if (mode === 'session' && secretStore.isLocked() && secretStore.hasVault()) {
+        showNotification('Спершу розблокуйте сховище ключів паролем — інакше збережені ключі буде втрачено', 'error');
+        elements.secretStorageMode.value = secretStore.mode;
+        return;
+    }
+    if (mode === 'session' && !confirm('Ключі буде видалено з диска й забуто після закриття вкладки. Продовжити?')) {
+        elements.secretStorageMode.value = secretStore.mode;
+        return;
+    }
+    if (mode === 'encrypted' && !elements.secretPassphrase.value) {
+        showNotification('Введіть пароль для шифрування ключів', 'error');
+        elements.secretStorageMode.value = secretStore.mode;
+        return;
+    }
+    
+    try {
+        await secretStore.setMode(mode, elements.secretPassphrase.value);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    elements.secretPassphrase.value = '';
+    if (!secretStore.isLocked()) await migrateLegacyKeys();
+    renderSecrets();
+    renderAnswerProviders();
+    fillAnswerProviderForm(elements.answerProviderSelect.value);
+}
+
+function forgetSecretsHandler() {
+    if (!confirm('Видалити всі збережені ключі з цього браузера?')) return;
+    
+    secretStore.forgetAll();
+    // Разом зі сховищем зникають і ключі зі старих налаштувань, що ще чекають на перенесення
+    answerProviders.pendingKeys = {};
+    customProviders.forEach(provider => delete provider.apiKey);
+    translationService.services.forEach(service => delete service.provider.apiKey);
+    saveCustomProviders();
+    
+    renderSecrets();
+    renderAnswerProviders();
+    showNotification('Усі секрети видалено');
+}
+
+// Ключі, збережені раніше відкритим текстом, переносяться в сховище, щойно воно доступне для запису
+async function migrateLegacyKeys() {
+    const legacy = answerProviders.providers.filter(provider => answerProviders.pendingKeys[provider.id])
+        .map(provider => ({ target: `answer:${provider.id}`, name: provider.name, value: answerProviders.pendingKeys[provider.id] }))
+        .concat(customProviders.filter(provider => provider.apiKey)
+            .map(provider => ({ target: `translation:${provider.name}`, name: provider.name, value: provider.apiKey })));
+    
+    for (const item of legacy) {
+        let name = item.name;
+        while (secretStore.get(name) && secretStore.get(name) !== item.value) name += ' (2)';
+        await secretStore.set(name, item.value);
+        bindSecret(item.target, name);
+    }
+    if (legacy.length) renderSecrets();
+}
+
+function togglePasswordVisibility() {
+    if (!elements.apiKeyInput || !elements.togglePassword) return;
+    
+    const icon = elements.togglePassword.querySelector('.material-icons');
+    if (!icon) return;
+    
+    if (elements.apiKeyInput.type === 'password') {
+        elements.apiKeyInput.type = 'text';
+        icon.textContent = 'visibility_off';
+    } else {
+        elements.apiKeyInput.type = 'password';
+        icon.textContent = 'visibility';
+    }
+}
+
+// Add entry to voice log and fetch its translation asynchronously
+// (an already started translation of the same segment can be passed in to avoid a second request)
+// (options may override the language pair, label the speaker in conversation mode
+// and pass startedAt/endedAt of the utterance for subtitle export)
+async function addToLog(text, translationPromise = null, options = {}) {
+    const now = options.createdAt ? new Date(options.createdAt) : new Date();
+    const timestamp = options.timestamp || now.toLocaleTimeString();
+
+    // Insert a placeholder entry with empty translation so UI updates immediately
+    const entry = {
+        id: options.id || SessionHistory.createId(),
+        text,
+        translation: '',
+        timestamp,
+        createdAt: now.toISOString(),
+        sourceLang: options.sourceLang || sourceLanguage,
+        targetLang: options.targetLang || targetLanguage
+    };
+    if (options.speaker) entry.speaker = options.speaker;
+    if (options.confidence) entry.confidence = options.confidence;
+    if (options.startedAt) entry.startedAt = new Date(options.startedAt).toISOString();
+    if (options.endedAt) entry.endedAt = new Date(options.endedAt).toISOString();
+    voiceLog.unshift(entry);
+    updateLogDisplay();
+    const saved = persistLogEntry(entry);
+
+    // Perform translation and update the entry when available
+    try {
+        const result = await (translationPromise || translationService.translateText(text, entry.sourceLang, entry.targetLang));
+        entry.translation = result.success ? result.text : '[Переклад не доступний]';
+        entry.provider = result.service || null;
+    } catch (err) {
+        console.error('Помилка при отриманні перекладу для журналу:', err);
+        entry.translation = '[Помилка перекладу]';
+    }
+
+    // Persist and refresh UI
+    updateLogDisplay();
+    await saved;
+    sessionHistory.updateEntry(entry).catch(error => console.error('Помилка збереження запису історії:', error));
+}
+
+// Запис додається до поточної сесії, щойно історія завантажилась
+async function persistLogEntry(entry) {
+    await historyReady;
+    entry.sessionId = sessionHistory.currentSessionId;
+    try {
+        await sessionHistory.addEntry(entry.sessionId, entry);
+    } catch (error) {
+        console.error('Помилка збереження запису історії:', error);
+    }
+    renderSessionList();
+}
+
+function updateLogDisplay() {
+    if (!elements.voiceLogContainer) return;
+    elements.voiceLogContainer.innerHTML = '';
+    elements.voiceLogContainer.classList.remove('chat-view');
+
+    if (voiceLog.length === 0) {
+        elements.voiceLogContainer.innerHTML = '<div class="log-entry">Журнал порожній. Почніть розмову...</div>';
+        return;
+    }
+
+    if (conversationMode) {
+        renderConversationLog();
+        return;
+    }
+
+    // Optional header row for columns
+    const headerRow = document.createElement('div');
+    headerRow.className = 'log-entry log-row log-header';
+    headerRow.innerHTML = `
+        <div class="log-col log-col-original"><strong>Оригінал (${LANGUAGES[sourceLanguage].label})</strong></div>
+        <div class="log-col log-col-translation"><strong>Переклад (${LANGUAGES[targetLanguage].label})</strong></div>
+    `;
+    elements.voiceLogContainer.appendChild(headerRow);
+
+    voiceLog.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'log-entry log-row';
+        row.dataset.entryId = entry.id;
+        row.classList.toggle('playing', entry.id === audioPlayback.entryId);
+
+        const originalCol = document.createElement('div');
+        originalCol.className = 'log-col log-col-original';
+        // Записи з іншою мовною парою позначаємо напрямком перекладу
+        const pairLabel = entry.sourceLang && (entry.sourceLang !== sourceLanguage || entry.targetLang !== targetLanguage)
+            ? `<span class="log-pair">${LANGUAGES[entry.sourceLang].label}→${LANGUAGES[entry.targetLang].label}</span> `
+            : '';
+        const speakerLabel = entry.speaker ? `<span class="log-speaker">${escapeHtml(entry.speaker)}</span> ` : '';
+        originalCol.innerHTML = `<span class="log-time">${escapeHtml(entry.timestamp || '')}</span> ${speakerLabel}${pairLabel}${escapeHtml(entry.text)} ${formatConfidence(entry)}`;
+        if (findEntryAudio(entry)) originalCol.appendChild(createPlayAudioButton(entry));
+
+        const translationCol = document.createElement('div');
+        translationCol.className = 'log-col log-col-translation';
+        translationCol.textContent = entry.translation || 'Переклад...';
+        if (entry.translation) {
+            translationCol.appendChild(createSpeakButton(
+                () => speechPlayer.speak(entry.translation, entry.targetLang || targetLanguage),
+                'Озвучити переклад'
+            ));
+        }
+
+        row.appendChild(originalCol);
+        row.appendChild(translationCol);
+
+        elements.voiceLogContainer.appendChild(row);
+    });
+}
+
+// Позначка впевненості розпізнавання; виправлений запис позначається окремо
+function formatConfidence(entry) {
+    if (entry.corrected) return '<span class="log-confidence" title="Виправлено вручну">✎</span>';
+    if (!entry.confidence) return '';
+    
+    const low = entry.confidence < LOW_CONFIDENCE_THRESHOLD;
+    return `<span class="log-confidence${low ? ' low' : ''}" title="Впевненість розпізнавання">${Math.round(entry.confidence * 100)}%</span>`;
+}
+
+// Журнал у вигляді чату: репліки в хронологічному порядку, A ліворуч, B праворуч
+function renderConversationLog() {
+    elements.voiceLogContainer.classList.add('chat-view');
+    
+    voiceLog.slice().reverse().forEach(entry => {
+        const speaker = entry.speaker || 'A';
+        const turn = document.createElement('div');
+        turn.className = `chat-turn chat-turn-${speaker.toLowerCase()}`;
+        turn.dataset.entryId = entry.id;
+        turn.classList.toggle('playing', entry.id === audioPlayback.entryId);
+        
+        const direction = entry.sourceLang
+            ? `${LANGUAGES[entry.sourceLang].label}→${LANGUAGES[entry.targetLang].label}`
+            : '';
+        turn.innerHTML = `
+            <div class="chat-meta">
+                <span class="log-speaker">${escapeHtml(speaker)}</span>
+                <span class="log-pair">${direction}</span>
+                <span class="log-time">${escapeHtml(entry.timestamp || '')}</span>
+                ${formatConfidence(entry)}
+            </div>
+            <div class="chat-original"></div>
+            <div class="chat-translation"></div>
+        `;
+        turn.querySelector('.chat-original').textContent = entry.text;
+        turn.querySelector('.chat-translation').textContent = entry.translation || 'Переклад...';
+        if (findEntryAudio(entry)) turn.querySelector('.chat-meta').appendChild(createPlayAudioButton(entry));
+        if (entry.translation) {
+            turn.querySelector('.chat-meta').appendChild(createSpeakButton(
+                () => speechPlayer.speak(entry.translation, entry.targetLang || targetLanguage),
+                'Озвучити переклад'
+            ));
+        }
+        
+        elements.voiceLogContainer.appendChild(turn);
+    });
+    
+    elements.voiceLogContainer.scrollTop = elements.voiceLogContainer.scrollHeight;
+}
+
+// Розбір CSV (RFC 4180): коми, лапки та переноси рядків усередині лапок
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+// Збереження тексту у файл через тимчасове посилання
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Simple HTML escape to avoid injection in logs
+function escapeHtml(unsafe) {
+    return unsafe
+         .replace(/&/g, "&amp;")
+         .replace(/</g, "&lt;")
+         .replace(/>/g, "&gt;")
+         .replace(/"/g, "&quot;")
+         .replace(/'/g, "&#039;");
+}
+
+// Час запису для текстових форматів експорту
+function formatEntryTime(entry) {
+    return entry.createdAt ? new Date(entry.createdAt).toLocaleString() : entry.timestamp;
+}
+
+// 00:01:02,345 (SRT) або 00:01:02.345 (WebVTT)
+function formatSubtitleTime(ms, separator) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+// Субтитри від початку першого висловлювання; для записів без часу тривалість оцінюється за кількістю слів
+function getSubtitleCues(entries) {
+    const estimateDuration = text => Math.max(1500, text.split(/\s+/).length * 400);
+    let origin = null;
+    let previousEnd = 0;
+    
+    return entries.map(entry => {
+        const duration = estimateDuration(entry.text);
+        let start = null;
+        let end = null;
+        
+        if (entry.startedAt || entry.createdAt) {
+            end = new Date(entry.endedAt || entry.createdAt).getTime();
+            start = entry.startedAt ? new Date(entry.startedAt).getTime() : end - duration;
+            if (origin === null) origin = start;
+            start -= origin;
+            end -= origin;
+        } else {
+            start = previousEnd + 500;
+            end = start + duration;
+        }
+        
+        start = Math.max(start, 0);
+        end = Math.max(end, start + 500);
+        previousEnd = end;
+        
+        const speaker = entry.speaker ? `${entry.speaker}: ` : '';
+        return { start, end, text: `${speaker}${entry.text}${entry.translation ? `\n${entry.translation}` : ''}` };
+    });
+}
+
+// Сесія: журнал голосу в хронологічному порядку, відповіді Q&A і журнал перекладу (ключі вже замасковані)
+function buildSessionExport() {
+    return {
+        format: SESSION_EXPORT_MARKER,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        name: currentSession ? currentSession.name : '',
+        sourceLang: sourceLanguage,
+        targetLang: targetLanguage,
+        entries: voiceLog.slice().reverse(),
+        answers: qaThread.turns.map(turn => ({
+            question: turn.question,
+            answer: turn.answer,
+            translation: turn.translation || '',
+            lang: turn.lang,
+            provider: turn.provider || null,
+            status: turn.status,
+            createdAt: turn.createdAt
+        })),
+        translationLog: translationService.logs.map(log => ({
+            timestamp: log.timestamp,
+            level: log.level,
+            service: log.service,
+            message: log.message
+        }))
+    };
+}
+
+function exportSessionHandler() {
+    const format = SESSION_EXPORT_FORMATS[elements.exportFormat ? elements.exportFormat.value : 'json'];
+    const session = buildSessionExport();
+    
+    if (!session.entries.length && !session.answers.length) {
+        showNotification('Сесія порожня — нічого експортувати', 'error');
+        return;
+    }
+    
+    const date = session.exportedAt.slice(0, 19).replace(/[T:]/g, '-');
+    downloadFile(`session-${date}.${format.extension}`, format.format(session), format.mimeType);
+}
+
+function populateExportFormats() {
+    if (!elements.exportFormat) return;
+    
+    elements.exportFormat.innerHTML = '';
+    Object.keys(SESSION_EXPORT_FORMATS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = SESSION_EXPORT_FORMATS[key].label;
+        elements.exportFormat.appendChild(option);
+    });
+}
+
+// Імпорт JSON-експорту: записи додаються до журналу голосу без дублікатів
+async function importSessionHandler(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const session = JSON.parse(await file.text());
+        if (!session || session.format !== SESSION_EXPORT_MARKER || !Array.isArray(session.entries)) {
+            throw new Error('Файл не є експортом сесії');
+        }
+        
+        const added = await mergeIntoVoiceLog(session.entries);
+        updateLogDisplay();
+        showNotification(`Імпортовано записів: ${added}`);
+    } catch (error) {
+        console.error('Помилка імпорту сесії:', error);
+        showNotification(`Помилка імпорту сесії: ${error.message}`, 'error');
+    } finally {
+        event.target.value = '';
+    }
+}
+
+// Файл імпорту довільний: кожне поле перевіряється за типом, а час показу будується з createdAt,
+// бо записи потрапляють у розмітку журналу й зберігаються в IndexedDB
+function sanitizeImportedEntry(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.text !== 'string' || !entry.text.trim()) return null;
+    
+    // «constructor» чи «__proto__» теж знайшлися б у LANGUAGES через прототип
+    const isKnownLanguage = lang => typeof lang === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+    const toIsoDate = value => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null);
+    const createdAt = toIsoDate(entry.createdAt) || new Date().toISOString();
+    const imported = {
+        id: typeof entry.id === 'string' && entry.id ? entry.id : SessionHistory.createId(),
+        text: entry.text,
+        translation: typeof entry.translation === 'string' ? entry.translation : '',
+        timestamp: new Date(createdAt).toLocaleTimeString(),
+        createdAt: createdAt,
+        sourceLang: isKnownLanguage(entry.sourceLang) ? entry.sourceLang : sourceLanguage,
+        targetLang: isKnownLanguage(entry.targetLang) ? entry.targetLang : targetLanguage,
+        provider: typeof entry.provider === 'string' ? entry.provider : null
+    };
+    const startedAt = toIsoDate(entry.startedAt);
+    const endedAt = toIsoDate(entry.endedAt);
+    if (startedAt) imported.startedAt = startedAt;
+    if (endedAt) imported.endedAt = endedAt;
+    if (entry.speaker === 'A' || entry.speaker === 'B') imported.speaker = entry.speaker;
+    return imported;
+}
+
+// Нові записи додаються до поточної сесії; повертає їхню кількість
+async function mergeIntoVoiceLog(entries) {
+    await historyReady;
+    const entryKey = entry => entry.id || `${entry.createdAt || entry.timestamp}|${entry.text}`;
+    const known = new Set(voiceLog.map(entryKey));
+    
+    const imported = entries
+        .map(sanitizeImportedEntry)
+        .filter(entry => entry && !known.has(entryKey(entry)));
+    
+    for (const entry of imported) {
+        entry.sessionId = sessionHistory.currentSessionId;
+        await sessionHistory.addEntry(entry.sessionId, entry);
+    }
+    
+    voiceLog = voiceLog.concat(imported).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    renderSessionList();
+    return imported.length;
+}
+
+async function clearVoiceLogHandler() {
+    try {
+        await historyReady;
+        resetAudioPlayer();
+        await sessionHistory.clearEntries(sessionHistory.currentSessionId);
+        sessionRecordings = [];
+        renderSessionPlayer();
+        voiceLog = [];
+        updateLogDisplay();
+        renderSessionList();
+        showNotification('Журнал голосу очищено!');
+    } catch (error) {
+        console.error('Помилка очищення журналу:', error);
+        showNotification('Не вдалося очистити журнал', 'error');
+    }
+}
+
+// Завантаження історії: міграція старого журналу й відкриття поточної сесії
+async function loadHistory() {
+    try {
+        const sessionId = await sessionHistory.init({ sourceLang: sourceLanguage, targetLang: targetLanguage });
+        await openSession(sessionId);
+    } catch (error) {
+        console.error('Помилка завантаження історії сесій:', error);
+    }
+}
+
+async function openSession(sessionId) {
+    try {
+        sessionHistory.setCurrent(sessionId);
+        currentSession = await sessionHistory.getSession(sessionId);
+        voiceLog = (await sessionHistory.getEntries(sessionId)).reverse();
+        
+        // Аудіо, що записується, належить до сесії, в яку потрапляють записи журналу
+        if (audioRecorder.active && audioRecorder.take.sessionId !== sessionId) {
+            audioRecorder.stop();
+            startAudioRecording();
+        }
+        resetAudioPlayer();
+        sessionRecordings = await sessionHistory.getRecordings(sessionId);
+        renderSessionPlayer();
+        
+        if (elements.currentSessionName) elements.currentSessionName.textContent = currentSession ? currentSession.name : '';
+        updateLogDisplay();
+        renderSessionList();
+    } catch (error) {
+        console.error('Помилка відкриття сесії:', error);
+        showNotification('Не вдалося відкрити сесію', 'error');
+    }
+}
+
+// Запис аудіо йде, поки активне розпізнавання (включно з паузою на час озвучення)
+function syncAudioRecording(active) {
+    if (active && !audioRecorder.active && audioRecorder.enabled && audioRecorder.isSupported()) {
+        startAudioRecording();
+    } else if (!active && audioRecorder.active) {
+        audioRecorder.stop();
+        renderSessionPlayer();
+    }
+}
+
+async function startAudioRecording() {
+    try {
+        await audioRecorder.start(sessionHistory.currentSessionId);
+    } catch (error) {
+        console.warn('Не вдалося почати запис аудіо сесії:', error);
+        showNotification('Не вдалося записати аудіо сесії', 'error');
+    }
+    renderSessionPlayer();
+    updateLogDisplay();
+}
+
+async function saveRecording(recording) {
+    await historyReady;
+    if (!recording.sessionId) recording.sessionId = sessionHistory.currentSessionId;
+    
+    try {
+        const evicted = await sessionHistory.addRecording(recording);
+        if (evicted.length) {
+            showNotification(`Сховище аудіо майже заповнене: видалено найстаріших записів — ${evicted.length}`, 'error');
+        }
+    } catch (error) {
+        console.error('Помилка збереження аудіо сесії:', error);
+        showNotification('Не вдалося зберегти аудіо сесії: недостатньо місця', 'error');
+    }
+    
+    if (recording.sessionId === sessionHistory.currentSessionId) {
+        sessionRecordings = await sessionHistory.getRecordings(recording.sessionId);
+        renderSessionPlayer();
+        updateLogDisplay();
+    }
+}
+
+// Збережені записи поточної сесії та запис, що триває
+function getSessionRecordings() {
+    const live = audioRecorder.getLiveTake();
+    const liveInSession = live && (!live.sessionId || live.sessionId === sessionHistory.currentSessionId);
+    return liveInSession ? sessionRecordings.concat(live) : sessionRecordings;
+}
+
+// Фрагмент аудіо для запису журналу: запис, у межах якого почалось висловлювання, і зміщення в секундах
+function findEntryAudio(entry) {
+    if (!entry.startedAt) return null;
+    
+    const startedAt = Date.parse(entry.startedAt);
+    const endedAt = entry.endedAt ? Date.parse(entry.endedAt) : startedAt;
+    const recording = getSessionRecordings().find(item =>
+        startedAt >= item.startedAt - AUDIO_LEAD_MS && startedAt <= (item.endedAt || Date.now())
+    );
+    if (!recording) return null;
+    
+    return {
+        recording: recording,
+        start: Math.max(0, startedAt - AUDIO_LEAD_MS - recording.startedAt) / 1000,
+        end: (endedAt + AUDIO_LEAD_MS - recording.startedAt) / 1000
+    };
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} МБ` : `${Math.max(1, Math.round(bytes / 1024))} КБ`;
+}
+
+function renderSessionPlayer() {
+    if (!elements.sessionPlayer) return;
+    
+    const recordings = getSessionRecordings();
+    elements.sessionPlayer.classList.toggle('active', recordings.length > 0);
+    
+    if (elements.sessionRecordingSelect) {
+        elements.sessionRecordingSelect.innerHTML = '';
+        recordings.forEach((recording, index) => {
+            const option = document.createElement('option');
+            option.value = recording.id;
+            const duration = recording.endedAt ? ` · ${formatDuration(recording.endedAt - recording.startedAt)}` : '';
+            option.textContent = recording.live
+                ? 'Поточний запис'
+                : `Запис ${index + 1} · ${new Date(recording.startedAt).toLocaleTimeString()}${duration}`;
+            elements.sessionRecordingSelect.appendChild(option);
+        });
+        if (audioPlayback.recording) elements.sessionRecordingSelect.value = audioPlayback.recording.id;
+    }
+    
+    if (elements.sessionAudioSize) {
+        const total = sessionRecordings.reduce((sum, recording) => sum + (recording.size || 0), 0);
+        elements.sessionAudioSize.textContent = total ? formatBytes(total) : '';
+    }
+}
+
+// Запис, що триває, завантажується заново, щоб програвач бачив останні фрагменти
+function loadRecordingIntoPlayer(recording) {
+    const player = elements.sessionAudioPlayer;
+    if (!player) return Promise.resolve(false);
+    if (audioPlayback.recording && audioPlayback.recording.id === recording.id && !recording.live) return Promise.resolve(true);
+    
+    const blob = recording.live ? audioRecorder.getLiveBlob() : recording.blob;
+    if (!blob) return Promise.resolve(false);
+    
+    if (audioPlayback.url) URL.revokeObjectURL(audioPlayback.url);
+    audioPlayback.recording = recording;
+    audioPlayback.url = URL.createObjectURL(blob);
+    if (elements.sessionRecordingSelect) elements.sessionRecordingSelect.value = recording.id;
+    
+    return new Promise(resolve => {
+        player.addEventListener('loadedmetadata', () => resolve(true), { once: true });
+        player.addEventListener('error', () => resolve(false), { once: true });
+        player.src = audioPlayback.url;
+    });
+}
+
+function resetAudioPlayer() {
+    if (elements.sessionAudioPlayer) {
+        elements.sessionAudioPlayer.pause();
+        elements.sessionAudioPlayer.removeAttribute('src');
+        elements.sessionAudioPlayer.load();
+    }
+    if (audioPlayback.url) URL.revokeObjectURL(audioPlayback.url);
+    audioPlayback = { recording: null, url: null, stopAt: null, entryId: null };
+}
+
+async function playEntryAudio(entry) {
+    const audio = findEntryAudio(entry);
+    if (!audio || !(await loadRecordingIntoPlayer(audio.recording))) {
+        showNotification('Аудіо для цього запису не знайдено', 'error');
+        return;
+    }
+    
+    const player = elements.sessionAudioPlayer;
+    audioPlayback.stopAt = audio.end;
+    player.currentTime = audio.start;
+    player.play().catch(error => console.warn('Не вдалося відтворити аудіо:', error));
+}
+
+// Відтворення одного запису зупиняється в його кінці; під час прослуховування підсвічується поточний запис журналу
+function handlePlaybackTime() {
+    const player = elements.sessionAudioPlayer;
+    if (!player || !audioPlayback.recording) return;
+    
+    if (audioPlayback.stopAt !== null && player.currentTime >= audioPlayback.stopAt) {
+        player.pause();
+        audioPlayback.stopAt = null;
+    }
+    
+    const position = audioPlayback.recording.startedAt + player.currentTime * 1000;
+    const entry = voiceLog.find(item => {
+        if (!item.startedAt) return false;
+        const startedAt = Date.parse(item.startedAt) - AUDIO_LEAD_MS;
+        const endedAt = Date.parse(item.endedAt || item.startedAt) + AUDIO_LEAD_MS;
+        return position >= startedAt && position <= endedAt;
+    });
+    highlightPlayingEntry(entry ? entry.id : null);
+}
+
+function highlightPlayingEntry(entryId) {
+    if (audioPlayback.entryId === entryId || !elements.voiceLogContainer) return;
+    audioPlayback.entryId = entryId;
+    
+    elements.voiceLogContainer.querySelectorAll('[data-entry-id]').forEach(row => {
+        const playing = row.dataset.entryId === entryId;
+        row.classList.toggle('playing', playing);
+        if (playing) row.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+async function deleteSessionAudioHandler() {
+    if (!confirm('Видалити все аудіо поточної сесії? Текст журналу залишиться.')) return;
+    
+    await historyReady;
+    resetAudioPlayer();
+    await sessionHistory.deleteRecordings(sessionHistory.currentSessionId);
+    sessionRecordings = [];
+    renderSessionPlayer();
+    updateLogDisplay();
+    showNotification('Аудіо сесії видалено!');
+}
+
+function createPlayAudioButton(entry) {
+    const button = document.createElement('button');
+    button.className = 'speak-button';
+    button.title = 'Прослухати оригінал';
+    button.setAttribute('aria-label', 'Прослухати оригінал');
+    button.innerHTML = '<i class="material-icons">play_circle</i>';
+    button.addEventListener('click', () => playEntryAudio(entry));
+    return button;
+}
+
+async function startNewSession(name = null) {
+    await historyReady;
+    const session = await sessionHistory.createSession({ sourceLang: sourceLanguage, targetLang: targetLanguage }, name);
+    await openSession(session.id);
+    return session;
+}
+
+async function newSessionHandler() {
+    try {
+        const session = await startNewSession();
+        showNotification(`Розпочато: ${session.name}`);
+    } catch (error) {
+        console.error('Помилка створення сесії:', error);
+        showNotification('Не вдалося створити сесію', 'error');
+    }
+}
+
+async function renameSessionHandler(session) {
+    try {
+        const name = prompt('Нова назва сесії', session.name);
+        if (!name || !name.trim()) return;
+        
+        await sessionHistory.renameSession(session.id, name.trim());
+        if (session.id === sessionHistory.currentSessionId) {
+            currentSession = await sessionHistory.getSession(session.id);
+            if (elements.currentSessionName) elements.currentSessionName.textContent = currentSession.name;
         }
+        renderSessionList();
+    } catch (error) {
+        console.error('Помилка перейменування сесії:', error);
+        showNotification('Не вдалося перейменувати сесію', 'error');
     }
 }
 
-function handleTextInput() {
-    if (!elements.englishText) return;
-    
-    // Автоматичний переклад при зміні тексту
-    if (elements.englishText.value.trim()) {
-        translateText(elements.englishText.value);
-        checkForQuestion(elements.englishText.value);
-    } else {
-        if (elements.ukrainianText) elements.ukrainianText.value = '';
-        if (elements.translationStatus) {
-            elements.translationStatus.textContent = '';
-            elements.translationStatus.className = 'status-indicator';
+async function deleteSessionHandler(session) {
+    try {
+        if (!confirm(`Видалити сесію «${session.name}» разом з усіма записами?`)) return;
+        
+        const wasCurrent = session.id === sessionHistory.currentSessionId;
+        await sessionHistory.deleteSession(session.id);
+        if (wasCurrent) {
+            await openSession(await sessionHistory.init({ sourceLang: sourceLanguage, targetLang: targetLanguage }));
+        } else {
+            renderSessionList();
         }
+        if (elements.historySearch && elements.historySearch.value) searchHistory();
+    } catch (error) {
+        console.error('Помилка видалення сесії:', error);
+        showNotification('Не вдалося видалити сесію', 'error');
     }
 }
 
-async function translateText(text) {
-    if (!text.trim() || !elements.ukrainianText || !elements.translationStatus) return;
-    
-    // Оновлення статусу перекладу
-    elements.translationStatus.textContent = 'Переклад...';
-    elements.translationStatus.className = 'status-indicator status-translating';
-    
+// Бічна панель: сесії від останньої зміненої, поточна виділена
+async function renderSessionList() {
     try {
-        const result = await translationService.translateText(text, sourceLanguage, targetLanguage);
+        if (!elements.sessionList) return;
         
-        elements.ukrainianText.value = result.text;
-        elements.translationStatus.textContent = `Переклад завершено (${result.service})!`;
-        elements.translationStatus.className = 'status-indicator status-success';
+        const sessions = await sessionHistory.getSessions();
+        elements.sessionList.innerHTML = '';
         
+        sessions.forEach(session => {
+            const row = document.createElement('div');
+            row.className = 'session-row';
+            if (session.id === sessionHistory.currentSessionId) row.classList.add('active');
+            row.innerHTML = `
+                <div class="session-info">
+                    <div class="session-name"></div>
+                    <div class="session-meta">${new Date(session.updatedAt).toLocaleString()} · ${session.entryCount || 0} зап. · ${escapeHtml(LANGUAGES[session.sourceLang] ? LANGUAGES[session.sourceLang].label : session.sourceLang)}→${escapeHtml(LANGUAGES[session.targetLang] ? LANGUAGES[session.targetLang].label : session.targetLang)}</div>
+                </div>
+                <button class="btn-secondary icon-only session-rename" title="Перейменувати"><i class="material-icons">edit</i></button>
+                <button class="btn-secondary icon-only session-delete" title="Видалити"><i class="material-icons">delete</i></button>
+            `;
+            row.querySelector('.session-name').textContent = session.name;
+            
+            row.querySelector('.session-info').addEventListener('click', () => openSession(session.id));
+            row.querySelector('.session-rename').addEventListener('click', () => renameSessionHandler(session));
+            row.querySelector('.session-delete').addEventListener('click', () => deleteSessionHandler(session));
+            elements.sessionList.appendChild(row);
+        });
     } catch (error) {
-        console.error('Помилка перекладу:', error);
-        elements.translationStatus.textContent = 'Помилка перекладу';
-        elements.translationStatus.className = 'status-indicator status-error';
+        console.error('Помилка завантаження списку сесій:', error);
+        showNotification('Не вдалося завантажити список сесій', 'error');
     }
 }
 
-function checkForQuestion(text) {
-    if (!elements.questionIndicator || !elements.answersContainer) return;
+// Екранований текст з виділеними збігами
+function highlightMatches(text, query) {
+    if (!text) return '';
     
-    // Проста перевірка на наявність запитання
-    const hasQuestionMark = text.includes('?');
-    const questionWords = ['what', 'when', 'where', 'why', 'how', 'who', 'which', 'can', 'could', 'would', 'should', 'is', 'are', 'do', 'does', 'did'];
-    const hasQuestionWord = questionWords.some(word => 
-        text.toLowerCase().includes(word) && 
-        (text.toLowerCase().indexOf(word) === 0 || 
-            text[text.toLowerCase().indexOf(word) - 1] === ' ')
-    );
+    const lower = text.toLowerCase();
+    const needle = query.toLowerCase();
+    let result = '';
+    let lastIndex = 0;
+    let index = lower.indexOf(needle);
     
-    if (hasQuestionMark || hasQuestionWord) {
-        elements.questionIndicator.style.display = 'block';
-        getAnswerFromDeepSeek(text);
-    } else {
-        elements.questionIndicator.style.display = 'none';
-        elements.answersContainer.innerHTML = '<p>Тут будуть відображатись відповіді на ваші запитання. Для роботи необхідно ввести API ключ DeepSeek.</p>';
+    while (needle && index !== -1) {
+        result += escapeHtml(text.slice(lastIndex, index)) + `<mark>${escapeHtml(text.slice(index, index + needle.length))}</mark>`;
+        lastIndex = index + needle.length;
+        index = lower.indexOf(needle, lastIndex);
     }
+    return result + escapeHtml(text.slice(lastIndex));
 }
 
-async function getAnswerFromDeepSeek(question) {
-    if (!elements.answersContainer) return;
-    
-    if (!deepSeekApiKey) {
-        elements.answersContainer.innerHTML = '<div class="answer"><p>Для отримання відповідей введіть API ключ DeepSeek у верхньому полі.</p></div>';
-        return;
-    }
-    
-    elements.answersContainer.innerHTML = '<div class="answer"><p>Шукаємо відповідь... <span class="loading"></span></p></div>';
-    
+async function searchHistory() {
     try {
-        const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${deepSeekApiKey}`
-            },
-            body: JSON.stringify({
-                model: 'deepseek-chat',
-                messages: [
-                    { role: 'user', content: question }
-                ],
-                max_tokens: 500
-            })
-        });
+        if (!elements.historySearch || !elements.historySearchResults) return;
         
-        if (response.ok) {
-            const data = await response.json();
-            const answer = data.choices[0].message.content;
-            elements.answersContainer.innerHTML = `<div class="answer"><p>${answer}</p></div>`;
-        } else {
-            elements.answersContainer.innerHTML = '<div class="answer"><p>Помилка отримання відповіді. Перевірте API ключ.</p></div>';
+        const query = elements.historySearch.value.trim();
+        elements.historySearchResults.innerHTML = '';
+        if (!query) return;
+        
+        const results = await sessionHistory.search(query);
+        // Відповідь на застарілий запит не показується
+        if (query !== elements.historySearch.value.trim()) return;
+        
+        if (!results.length) {
+            elements.historySearchResults.innerHTML = '<div class="session-meta">Нічого не знайдено</div>';
+            return;
         }
+        
+        results.slice(0, 50).forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'history-result';
+            item.innerHTML = `
+                <div class="session-meta"></div>
+                <div>${highlightMatches(result.original, query)}</div>
+                <div class="chat-translation">${highlightMatches(result.translation, query)}</div>
+            `;
+            item.querySelector('.session-meta').textContent = `${result.answer ? 'Q&A · ' : ''}${result.session.name} · ${new Date(result.createdAt).toLocaleString()}`;
+            item.addEventListener('click', () => openSession(result.session.id));
+            elements.historySearchResults.appendChild(item);
+        });
     } catch (error) {
-        console.error('Помилка отримання відповіді:', error);
-        elements.answersContainer.innerHTML = '<div class="answer"><p>Помилка з\'єднання з сервісом відповідей.</p></div>';
+        console.error('Помилка пошуку в історії:', error);
+        showNotification('Помилка пошуку в історії', 'error');
     }
 }
 
-function copyToClipboard(textarea) {
-    if (!textarea) return;
+// Завершена відповідь Q&A зберігається в поточній сесії
+async function saveAnswerToHistory(turn) {
+    await historyReady;
+    try {
+        await sessionHistory.saveAnswer(sessionHistory.currentSessionId, {
+            id: turn.id,
+            question: turn.question,
+            answer: turn.answer,
+            provider: turn.provider || null,
+            lang: turn.lang,
+            createdAt: turn.createdAt
+        });
+    } catch (error) {
+        console.error('Помилка збереження відповіді в історії:', error);
+    }
+}
+
+function clearTranslationLogHandler() {
+    if (!elements.translationLogContainer) return;
     
-    textarea.select();
-    document.execCommand('copy');
-    showNotification('Текст скопійовано в буфер обміну!');
+    elements.translationLogContainer.innerHTML = '<div class="log-entry">Журнал перекладу порожній. Почніть використовувати переклад...</div>';
+    translationService.logs = [];
+    showNotification('Журнал перекладу очищено!');
 }
 
-function clearAllText() {
-    if (elements.englishText) elements.englishText.value = '';
-    if (elements.ukrainianText) elements.ukrainianText.value = '';
-    if (elements.translationStatus) {
-        elements.translationStatus.textContent = '';
-        elements.translationStatus.className = 'status-indicator';
-    }
-    if (elements.questionIndicator) elements.questionIndicator.style.display = 'none';
-    if (elements.answersContainer) elements.answersContainer.innerHTML = '<p>Тут будуть відображатись відповіді на ваші запитання. Для роботи необхідно ввести API ключ DeepSeek.</p>';
+async function clearTranslationCacheHandler() {
+    const count = await translationService.cache.size();
+    await translationService.clearCache();
+    showNotification(`Кеш перекладів очищено (${count} записів)!`);
+}
+
+function saveServiceConfig() {
+    localStorage.setItem('translationServiceConfig', JSON.stringify(translationService.getConfig()));
 }
 
-function saveApiKeyHandler() {
-    if (!elements.apiKeyInput) return;
+function formatServiceState(status) {
+    if (!status.enabled) return { label: 'Вимкнено', className: 'service-state-disabled' };
+    if (status.blocked) return { label: 'Локальний режим', className: 'service-state-disabled' };
     
-    deepSeekApiKey = elements.apiKeyInput.value.trim();
-    localStorage.setItem('deepSeekApiKey', deepSeekApiKey);
-    showNotification('API ключ збережено!');
+    if (status.circuit.state === 'open') {
+        const seconds = Math.max(0, Math.ceil((new Date(status.circuit.openUntil) - Date.now()) / 1000));
+        return { label: `Пауза (${seconds}с)`, className: 'service-state-open' };
+    }
+    if (status.circuit.state === 'half-open') return { label: 'Перевірка', className: 'service-state-half-open' };
+    return { label: 'Працює', className: 'service-state-closed' };
 }
 
-function togglePasswordVisibility() {
-    if (!elements.apiKeyInput || !elements.togglePassword) return;
+// Панель стану сервісів перекладу з керуванням пріоритетом
+function renderServiceDashboard() {
+    if (!elements.serviceDashboard || draggedServiceName) return;
+    elements.serviceDashboard.innerHTML = '';
     
-    const icon = elements.togglePassword.querySelector('.material-icons');
-    if (!icon) return;
+    translationService.getServiceStatus().forEach(status => {
+        const row = document.createElement('div');
+        row.className = 'service-row';
+        row.draggable = true;
+        row.dataset.service = status.name;
+        
+        const state = formatServiceState(status);
+        const successRate = status.successRate === null ? '—' : `${Math.round(status.successRate * 100)}%`;
+        const latency = status.averageLatency === null ? '—' : `${status.averageLatency} мс`;
+        
+        row.innerHTML = `
+            <i class="material-icons service-drag-handle">drag_indicator</i>
+            <span class="service-name">${escapeHtml(status.name)}</span>
+            <span class="service-state ${state.className}">${state.label}</span>
+            <span class="service-metric" title="Успішні запити">${successRate}</span>
+            <span class="service-metric" title="Середня затримка">${latency}</span>
+            <span class="service-error"></span>
+            <label class="service-toggle">
+                <input type="checkbox" ${status.enabled ? 'checked' : ''}> Увімкнено
+            </label>
+            <button class="btn-secondary service-test">Тест</button>
+        `;
+        
+        if (status.custom) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-secondary icon-only service-remove';
+            removeButton.title = 'Видалити сервіс';
+            removeButton.innerHTML = '<i class="material-icons">delete</i>';
+            removeButton.addEventListener('click', () => removeCustomProviderHandler(status.name));
+            row.appendChild(removeButton);
+        }
+        
+        const errorElement = row.querySelector('.service-error');
+        errorElement.textContent = status.lastError || '';
+        errorElement.title = status.lastErrorAt ? new Date(status.lastErrorAt).toLocaleString() : '';
+        
+        row.querySelector('input').addEventListener('change', (event) => {
+            translationService.setServiceEnabled(status.name, event.target.checked);
+            saveServiceConfig();
+            renderServiceDashboard();
+        });
+        row.querySelector('.service-test').addEventListener('click', () => testServiceHandler(status.name));
+        
+        row.addEventListener('dragstart', (event) => {
+            draggedServiceName = status.name;
+            row.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        row.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            const dragging = elements.serviceDashboard.querySelector('.dragging');
+            if (!dragging || dragging === row) return;
+            
+            const rect = row.getBoundingClientRect();
+            const after = event.clientY > rect.top + rect.height / 2;
+            elements.serviceDashboard.insertBefore(dragging, after ? row.nextSibling : row);
+        });
+        row.addEventListener('dragend', () => {
+            draggedServiceName = null;
+            const order = Array.from(elements.serviceDashboard.children).map(child => child.dataset.service);
+            translationService.setServiceOrder(order);
+            saveServiceConfig();
+        });
+        
+        elements.serviceDashboard.appendChild(row);
+    });
+}
+
+async function testServiceHandler(serviceName) {
+    showNotification(`Тестування ${serviceName}...`);
+    const result = await translationService.testService(serviceName, sourceLanguage, targetLanguage);
     
-    if (elements.apiKeyInput.type === 'password') {
-        elements.apiKeyInput.type = 'text';
-        icon.textContent = 'visibility_off';
+    if (result.success) {
+        showNotification(`${serviceName} працює (${result.duration} мс)`);
     } else {
-        elements.apiKeyInput.type = 'password';
-        icon.textContent = 'visibility';
+        showNotification(`${serviceName}: ${result.error}`, 'error');
     }
+    renderServiceDashboard();
 }
 
-// Add entry to voice log and fetch Ukrainian translation asynchronously
-async function addToLog(text) {
-    const timestamp = new Date().toLocaleTimeString();
-
-    // Insert a placeholder entry with empty translation so UI updates immediately
-    const entry = { text, translation: '', timestamp };
-    voiceLog.unshift(entry);
+function populateProviderTypes() {
+    if (!elements.customProviderType) return;
+    
+    elements.customProviderType.innerHTML = '';
+    Object.keys(TRANSLATION_PROVIDER_TYPES).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = TRANSLATION_PROVIDER_TYPES[type].label;
+        elements.customProviderType.appendChild(option);
+    });
+    elements.customProviderType.value = 'libretranslate';
+    updateCustomProviderForm();
+}
 
-    if (voiceLog.length > 50) {
-        voiceLog = voiceLog.slice(0, 50);
-    }
+// Шлях до перекладу у відповіді потрібен лише для власного JSON API
+function updateCustomProviderForm() {
+    if (!elements.customProviderPath || !elements.customProviderType) return;
+    elements.customProviderPath.style.display = elements.customProviderType.value === 'generic' ? '' : 'none';
+}
 
-    localStorage.setItem('voiceLog', JSON.stringify(voiceLog));
-    updateLogDisplay();
+function saveCustomProviders() {
+    localStorage.setItem('customTranslationProviders', JSON.stringify(customProviders));
+}
 
-    // Perform translation and update the entry when available
+function addCustomProviderHandler() {
+    if (!elements.customProviderName || !elements.customProviderUrl || !elements.customProviderType) return;
+    
+    const name = elements.customProviderName.value.trim();
+    const url = elements.customProviderUrl.value.trim();
+    
+    if (!name || !url) {
+        showNotification('Вкажіть назву та URL сервісу', 'error');
+        return;
+    }
+    
     try {
-        const result = await translationService.translateText(text, sourceLanguage, targetLanguage);
-        entry.translation = result.success ? result.text : '[Переклад не доступний]';
-    } catch (err) {
-        console.error('Помилка при отриманні перекладу для журналу:', err);
-        entry.translation = '[Помилка перекладу]';
+        new URL(url);
+    } catch (error) {
+        showNotification('Некоректний URL сервісу', 'error');
+        return;
     }
+    
+    const provider = {
+        name: name,
+        type: elements.customProviderType.value,
+        url: url,
+        keyName: elements.customProviderKey ? elements.customProviderKey.value : '',
+        responsePath: elements.customProviderPath ? elements.customProviderPath.value.trim() : ''
+    };
+    
+    try {
+        translationService.registerProvider(Object.assign({ custom: true }, provider));
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    customProviders.push(provider);
+    saveCustomProviders();
+    saveServiceConfig();
+    translationService.log('INFO', `Додано власний сервіс ${name} (${url})`, name);
+    
+    elements.customProviderName.value = '';
+    elements.customProviderUrl.value = '';
+    if (elements.customProviderKey) elements.customProviderKey.value = '';
+    renderSecrets();
+    if (elements.customProviderPath) elements.customProviderPath.value = '';
+    showNotification(`Сервіс ${name} додано!`);
+}
 
-    // Persist and refresh UI
-    localStorage.setItem('voiceLog', JSON.stringify(voiceLog));
-    updateLogDisplay();
+function removeCustomProviderHandler(name) {
+    translationService.unregisterProvider(name);
+    customProviders = customProviders.filter(provider => provider.name !== name);
+    saveCustomProviders();
+    saveServiceConfig();
+    renderServiceDashboard();
+    showNotification(`Сервіс ${name} видалено!`);
 }
 
-function updateLogDisplay() {
-    if (!elements.voiceLogContainer) return;
-    elements.voiceLogContainer.innerHTML = '';
+function renderOfflineDictionary() {
+    const dictionary = translationService.offlineDictionary;
+    
+    if (elements.offlineDictionaryList) {
+        elements.offlineDictionaryList.innerHTML = '';
+        dictionary.getDictionaries().forEach(info => {
+            const row = document.createElement('div');
+            row.className = 'dictionary-row';
+            row.innerHTML = `
+                <span>${escapeHtml(info.name)}</span>
+                <span class="log-pair">${escapeHtml(info.source.toUpperCase())}→${escapeHtml(info.target.toUpperCase())}</span>
+                <span class="service-metric">${info.size} записів</span>
+            `;
+            
+            if (!info.builtIn) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn-secondary icon-only service-remove';
+                removeButton.title = 'Видалити словник';
+                removeButton.innerHTML = '<i class="material-icons">delete</i>';
+                removeButton.addEventListener('click', async () => {
+                    try {
+                        await dictionary.removeDictionary(info.id);
+                        showNotification(`Словник «${info.name}» видалено!`);
+                    } catch (error) {
+                        console.error('Помилка видалення словника:', error);
+                        showNotification(`Словник «${info.name}» не видалено з браузера: ${error.message}`, 'error');
+                    }
+                    renderOfflineDictionary();
+                });
+                row.appendChild(removeButton);
+            }
+            
+            elements.offlineDictionaryList.appendChild(row);
+        });
+    }
+    
+    if (elements.offlineEntryList) {
+        elements.offlineEntryList.innerHTML = '';
+        dictionary.userEntries.forEach((entry, index) => {
+            if (entry.sourceLang !== sourceLanguage || entry.targetLang !== targetLanguage) return;
+            
+            const row = document.createElement('div');
+            row.className = 'dictionary-row';
+            row.innerHTML = `<span>${escapeHtml(entry.source)} → ${escapeHtml(entry.target)}</span>`;
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-secondary icon-only service-remove';
+            removeButton.title = 'Видалити запис';
+            removeButton.innerHTML = '<i class="material-icons">delete</i>';
+            removeButton.addEventListener('click', async () => {
+                try {
+                    await dictionary.removeUserEntry(index);
+                } catch (error) {
+                    console.error('Помилка видалення запису словника:', error);
+                    showNotification(`Не вдалося зберегти зміни словника: ${error.message}`, 'error');
+                }
+                renderOfflineDictionary();
+            });
+            row.appendChild(removeButton);
+            
+            elements.offlineEntryList.appendChild(row);
+        });
+    }
+}
 
-    if (voiceLog.length === 0) {
-        elements.voiceLogContainer.innerHTML = '<div class="log-entry">Журнал порожній. Почніть розмову...</div>';
+async function loadOfflineDictionaryHandler(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const content = await file.text();
+        const dictionary = translationService.offlineDictionary;
+        const parsed = dictionary.parseDictionary(content, file.name, sourceLanguage, targetLanguage);
+        await dictionary.addDictionary(parsed);
+        renderOfflineDictionary();
+        showNotification(`Словник «${parsed.name}» завантажено (${parsed.entries.length} записів)!`);
+    } catch (error) {
+        console.error('Помилка завантаження словника:', error);
+        showNotification(`Помилка завантаження словника: ${error.message}`, 'error');
+    } finally {
+        event.target.value = '';
+    }
+}
+
+async function addOfflineEntryHandler() {
+    if (!elements.offlineEntrySource || !elements.offlineEntryTarget) return;
+    
+    const source = elements.offlineEntrySource.value.trim();
+    const target = elements.offlineEntryTarget.value.trim();
+    if (!source || !target) {
+        showNotification('Вкажіть фразу та її переклад', 'error');
+        return;
+    }
+    
+    try {
+        await translationService.offlineDictionary.addUserEntry(source, target, sourceLanguage, targetLanguage);
+    } catch (error) {
+        // Запис уже діє в цьому сеансі, але після перезавантаження зникне
+        console.error('Помилка збереження запису словника:', error);
+        showNotification(`Запис не збережено в браузері: ${error.message}`, 'error');
+        renderOfflineDictionary();
         return;
     }
+    elements.offlineEntrySource.value = '';
+    elements.offlineEntryTarget.value = '';
+    renderOfflineDictionary();
+    showNotification('Запис додано до офлайн-словника!');
+}
 
-    // Optional header row for columns
-    const headerRow = document.createElement('div');
-    headerRow.className = 'log-entry log-row log-header';
-    headerRow.innerHTML = `
-        <div class="log-col log-col-original"><strong>Оригінал (EN)</strong></div>
-        <div class="log-col log-col-translation"><strong>Переклад (UA)</strong></div>
-    `;
-    elements.voiceLogContainer.appendChild(headerRow);
+// Терміни глосарію для поточної мови оригіналу
+function renderGlossary() {
+    if (!elements.glossaryList) return;
+    elements.glossaryList.innerHTML = '';
+    
+    const glossary = translationService.glossary;
+    glossary.entries.forEach((entry, index) => {
+        if (entry.sourceLang !== sourceLanguage) return;
+        if (!entry.doNotTranslate && entry.targetLang !== targetLanguage) return;
+        
+        const flags = [];
+        if (entry.caseSensitive) flags.push('з урахуванням регістру');
+        if (entry.doNotTranslate) flags.push('не перекладати');
+        
+        const row = document.createElement('div');
+        row.className = 'dictionary-row';
+        row.innerHTML = `
+            <span>${escapeHtml(entry.source)} → ${escapeHtml(entry.doNotTranslate ? entry.source : entry.target)}</span>
+            <span class="glossary-flag">${flags.join(', ')}</span>
+        `;
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-secondary icon-only service-remove';
+        removeButton.title = 'Видалити термін';
+        removeButton.innerHTML = '<i class="material-icons">delete</i>';
+        removeButton.addEventListener('click', () => {
+            glossary.removeEntry(index);
+            renderGlossary();
+        });
+        row.appendChild(removeButton);
+        
+        elements.glossaryList.appendChild(row);
+    });
+}
 
-    voiceLog.forEach(entry => {
+// Виправлення розпізнавання для поточної мови оригіналу
+function renderPhraseList() {
+    if (!elements.phraseList) return;
+    elements.phraseList.innerHTML = '';
+    
+    phraseList.entries.forEach((entry, index) => {
+        if (entry.lang !== sourceLanguage) return;
+        
         const row = document.createElement('div');
-        row.className = 'log-entry log-row';
+        row.className = 'dictionary-row';
+        row.innerHTML = `
+            <span>${escapeHtml(entry.heard)} → ${escapeHtml(entry.corrected)}</span>
+            <span class="glossary-flag">${entry.count}×</span>
+        `;
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-secondary icon-only service-remove';
+        removeButton.title = 'Видалити виправлення';
+        removeButton.innerHTML = '<i class="material-icons">delete</i>';
+        removeButton.addEventListener('click', () => {
+            phraseList.removeEntry(index);
+            renderPhraseList();
+        });
+        row.appendChild(removeButton);
+        
+        elements.phraseList.appendChild(row);
+    });
+}
 
-        const originalCol = document.createElement('div');
-        originalCol.className = 'log-col log-col-original';
-        originalCol.innerHTML = `<span class="log-time">${entry.timestamp}</span> ${escapeHtml(entry.text)}`;
+// Фрази голосових команд для поточної мови оригіналу; зміни зберігаються після виходу з поля
+function renderVoiceCommands() {
+    if (elements.voiceCommandsEnabled) elements.voiceCommandsEnabled.checked = voiceCommands.enabled;
+    if (!elements.voiceCommandList) return;
+    elements.voiceCommandList.innerHTML = '';
+    
+    Object.keys(VOICE_COMMANDS).forEach(commandId => {
+        const row = document.createElement('div');
+        row.className = 'dictionary-row voice-command-row';
+        row.innerHTML = `
+            <span class="voice-command-label">${escapeHtml(VOICE_COMMANDS[commandId].label)}</span>
+            <input type="text" class="api-key-input" placeholder="Вимкнено для ${escapeHtml(LANGUAGES[sourceLanguage].label)}">
+        `;
+        
+        const input = row.querySelector('input');
+        input.value = voiceCommands.getPhrases(commandId, sourceLanguage).join(', ');
+        input.title = 'Фрази через кому';
+        input.addEventListener('change', () => {
+            voiceCommands.setPhrases(commandId, sourceLanguage, input.value.split(','));
+            renderVoiceCommands();
+            showNotification('Голосову команду збережено!');
+        });
+        
+        const resetButton = document.createElement('button');
+        resetButton.className = 'btn-secondary icon-only service-remove';
+        resetButton.title = 'Фрази за замовчуванням';
+        resetButton.innerHTML = '<i class="material-icons">restart_alt</i>';
+        resetButton.disabled = !voiceCommands.isCustom(commandId, sourceLanguage);
+        resetButton.addEventListener('click', () => {
+            voiceCommands.reset(commandId, sourceLanguage);
+            renderVoiceCommands();
+        });
+        row.appendChild(resetButton);
+        
+        elements.voiceCommandList.appendChild(row);
+    });
+}
 
-        const translationCol = document.createElement('div');
-        translationCol.className = 'log-col log-col-translation';
-        translationCol.textContent = entry.translation || 'Переклад...';
+function clearPhraseListHandler() {
+    if (!confirm('Видалити всі збережені виправлення розпізнавання?')) return;
+    phraseList.clear();
+    renderPhraseList();
+    showNotification('Список виправлень очищено!');
+}
 
-        row.appendChild(originalCol);
-        row.appendChild(translationCol);
+// Налаштування приховування: детектори, список слів і локальний режим
+function renderPrivacySettings() {
+    const settings = privacyFilter.settings;
+    if (elements.privacyEnabled) elements.privacyEnabled.checked = settings.enabled;
+    if (elements.privacyDenyList) elements.privacyDenyList.value = settings.denyList.join('\n');
+    if (elements.localOnlyMode) elements.localOnlyMode.checked = settings.localOnly;
+    document.body.classList.toggle('local-only', settings.localOnly);
+    if (!elements.privacyDetectors) return;
+    
+    elements.privacyDetectors.innerHTML = '';
+    Object.keys(REDACTION_DETECTORS).forEach(detectorId => {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox"${settings.detectors[detectorId] ? ' checked' : ''}> ${escapeHtml(REDACTION_DETECTORS[detectorId].label)}`;
+        label.querySelector('input').addEventListener('change', (event) => {
+            privacyFilter.updateSettings({
+                detectors: Object.assign({}, privacyFilter.settings.detectors, { [detectorId]: event.target.checked })
+            });
+        });
+        elements.privacyDetectors.appendChild(label);
+    });
+}
 
-        elements.voiceLogContainer.appendChild(row);
+function savePrivacySettingsHandler() {
+    privacyFilter.updateSettings({
+        enabled: elements.privacyEnabled ? elements.privacyEnabled.checked : true,
+        denyList: elements.privacyDenyList ? privacyFilter.parseDenyList(elements.privacyDenyList.value) : []
     });
+    renderPrivacySettings();
+    showNotification('Налаштування приховування збережено!');
 }
 
-// Simple HTML escape to avoid injection in logs
-function escapeHtml(unsafe) {
-    return unsafe
-         .replace(/&/g, "&amp;")
-         .replace(/</g, "&lt;")
-         .replace(/>/g, "&gt;")
-         .replace(/"/g, "&quot;")
-         .replace(/'/g, "&#039;");
+// Локальний режим змінює доступні сервіси перекладу, відповідей і розпізнавання
+function toggleLocalOnlyHandler() {
+    privacyFilter.updateSettings({ localOnly: elements.localOnlyMode.checked });
+    renderPrivacySettings();
+    renderServiceDashboard();
+    renderAnswerProviders();
+    populateVoiceSelect();
+    // Активний запис через сторонній сервіс зупиняється одразу
+    setupRecognition();
+    showNotification(privacyFilter.settings.localOnly
+        ? 'Локальний режим: запити дозволено лише до localhost'
+        : 'Локальний режим вимкнено');
 }
 
-function clearVoiceLogHandler() {
-    voiceLog = [];
-    localStorage.setItem('voiceLog', JSON.stringify(voiceLog));
-    updateLogDisplay();
-    showNotification('Журнал голосу очищено!');
+// Журнал приховувань: тип даних, канал і плейсхолдер без самого значення
+function renderRedactionLog() {
+    if (!elements.redactionLog) return;
+    
+    const events = privacyFilter.events.slice(-50).reverse();
+    if (!events.length) {
+        elements.redactionLog.innerHTML = '<div class="log-entry">Персональні дані ще не приховувались</div>';
+        return;
+    }
+    
+    elements.redactionLog.innerHTML = events.map(event => `
+        <div class="log-entry">
+            <span class="log-time">${new Date(event.timestamp).toLocaleTimeString()}</span>
+            <span class="log-pair">${event.channel === 'qa' ? 'Q&A' : 'Переклад'}</span>
+            ${escapeHtml(event.type)} → ${escapeHtml(event.placeholder)}
+        </div>
+    `).join('');
 }
 
-function clearTranslationLogHandler() {
-    if (!elements.translationLogContainer) return;
+function clearRedactionLogHandler() {
+    privacyFilter.clearEvents();
+    renderRedactionLog();
+}
+
+function addGlossaryEntryHandler() {
+    if (!elements.glossarySource || !elements.glossaryTarget) return;
     
-    elements.translationLogContainer.innerHTML = '<div class="log-entry">Журнал перекладу порожній. Почніть використовувати переклад...</div>';
-    translationService.logs = [];
-    showNotification('Журнал перекладу очищено!');
+    try {
+        translationService.glossary.addEntry({
+            source: elements.glossarySource.value,
+            target: elements.glossaryTarget.value,
+            sourceLang: sourceLanguage,
+            targetLang: targetLanguage,
+            caseSensitive: elements.glossaryCaseSensitive && elements.glossaryCaseSensitive.checked,
+            doNotTranslate: elements.glossaryDoNotTranslate && elements.glossaryDoNotTranslate.checked
+        });
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    elements.glossarySource.value = '';
+    elements.glossaryTarget.value = '';
+    renderGlossary();
+    showNotification('Термін додано до глосарію!');
+}
+
+async function importGlossaryHandler(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const imported = translationService.glossary.importCsv(await file.text(), sourceLanguage, targetLanguage);
+        renderGlossary();
+        showNotification(`Імпортовано термінів: ${imported}`);
+    } catch (error) {
+        console.error('Помилка імпорту глосарію:', error);
+        showNotification('Помилка імпорту глосарію', 'error');
+    } finally {
+        event.target.value = '';
+    }
+}
+
+function exportGlossaryHandler() {
+    downloadFile('glossary.csv', translationService.glossary.toCsv(), 'text/csv;charset=utf-8');
+}
+
+function resetServicesHandler() {
+    translationService.resetFailedServices();
+    renderServiceDashboard();
+    showNotification('Стан сервісів скинуто!');
 }
 
 function showNotification(message, type = 'success') {
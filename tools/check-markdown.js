@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Перевірка MarkdownRenderer на відповідях, які ламали або можуть зламати рендеринг.
+// Потокова відповідь перемальовується на кожному фрагменті, тож зациклення заморожує вкладку:
+// кожен рендер обмежено за часом. Запуск: node tools/check-markdown.js (код виходу 1 при помилці)
+
+const vm = require('vm');
+const { loadScript } = require('./load-script');
+
+const { MarkdownRenderer } = loadScript(['MarkdownRenderer']);
+const RENDER_TIMEOUT_MS = 1000;
+
+// U+2028/U+2029 не збігаються з «.» у регулярних виразах, але трапляються у відповідях моделей
+const CASES = [
+    { input: '# Заголовок', expected: '<h3>Заголовок</h3>' },
+    { input: '# a\u2028b', expected: '<h3>a\u2028b</h3>' },
+    { input: '### a\u2029b', expected: '<h5>a\u2029b</h5>' },
+    { input: '- a\u2028b\n- c', expected: '<ul><li>a\u2028b</li><li>c</li></ul>' },
+    { input: '1. a\u2029b', expected: '<ol><li>a\u2029b</li></ol>' },
+    { input: 'текст\n# a\u2028b', expected: '<p>текст</p>\n<h3>a\u2028b</h3>' },
+    { input: '**жирний** і `код`', expected: '<p><strong>жирний</strong> і <code>код</code></p>' },
+    { input: '<img src=x onerror=alert(1)>', expected: '<p>&lt;img src=x onerror=alert(1)&gt;</p>' },
+    { input: '```js\nconst a = 1;', contains: '<pre><code>' }
+];
+
+const renderer = new MarkdownRenderer();
+let failures = 0;
+
+CASES.forEach(({ input, expected, contains }) => {
+    const label = JSON.stringify(input);
+    let html;
+    try {
+        html = vm.runInNewContext('renderer.render(input)', { renderer, input }, { timeout: RENDER_TIMEOUT_MS });
+    } catch (error) {
+        failures++;
+        console.log(`помилка:  ${label}: ${error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? `рендер не завершився за ${RENDER_TIMEOUT_MS} мс` : error.message}`);
+        return;
+    }
+    
+    const passed = expected !== undefined ? html === expected : html.includes(contains);
+    if (!passed) {
+        failures++;
+        console.log(`помилка:  ${label}\n    отримано: ${JSON.stringify(html)}`);
+    }
+});
+
+console.log(`Markdown: ${CASES.length - failures}/${CASES.length} випадків без помилок`);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Точність і повнота QuestionDetector на розміченому корпусі tools/fixtures/questions.json
+// для кожного рівня чутливості з QUESTION_SENSITIVITY_THRESHOLDS.
+// Запуск: node tools/check-question-detector.js [--verbose] [--lang uk]
+// --verbose виводить хибні спрацювання й пропущені запитання.
+// Код виходу 1, якщо точність чи повнота для якоїсь мови нижча за мінімум рівня з MINIMUMS
+
+const path = require('path');
+const { loadScript } = require('./load-script');
+
+// «Низька» чутливість навмисно пропускає запитання без «?» і явних маркерів (на корпусі — понад половину
+// українських), щоб не спрацьовувати на звичайних реченнях; тому для неї мінімум повноти нижчий
+const MINIMUMS = {
+    low: { precision: 0.95, recall: 0.4 },
+    medium: { precision: 0.9, recall: 0.95 },
+    high: { precision: 0.8, recall: 0.95 }
+};
+
+const corpus = require(path.join(__dirname, 'fixtures', 'questions.json'));
+const { QuestionDetector, QUESTION_SENSITIVITY_THRESHOLDS } = loadScript(['QuestionDetector', 'QUESTION_SENSITIVITY_THRESHOLDS']);
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const langIndex = args.indexOf('--lang');
+const languages = langIndex >= 0 ? [args[langIndex + 1]] : Object.keys(corpus);
+
+// Мовлення часто надходить без завершальної пунктуації, тому незавершені речення теж оцінюються
+function isDetected(detector, text, lang) {
+    return detector.detect(text, lang, { includeUnterminated: true }).length > 0;
+}
+
+function formatRatio(value) {
+    return value === null ? '  —  ' : value.toFixed(3);
+}
+
+function evaluate(detector, lang) {
+    const samples = corpus[lang];
+    if (!samples) throw new Error(`У корпусі немає мови ${lang}`);
+
+    const missed = samples.questions.filter(text => !isDetected(detector, text, lang));
+    const falsePositives = samples.statements.filter(text => isDetected(detector, text, lang));
+    const truePositives = samples.questions.length - missed.length;
+    const predicted = truePositives + falsePositives.length;
+
+    return {
+        precision: predicted ? truePositives / predicted : null,
+        recall: samples.questions.length ? truePositives / samples.questions.length : null,
+        missed: missed,
+        falsePositives: falsePositives
+    };
+}
+
+const detector = new QuestionDetector();
+const totals = {};
+const failures = [];
+
+function checkMinimums(sensitivity, lang, precision, recall) {
+    const minimum = MINIMUMS[sensitivity];
+    if (!minimum) return '';
+    const low = [];
+    if (precision !== null && precision < minimum.precision) low.push(`точність < ${minimum.precision}`);
+    if (recall !== null && recall < minimum.recall) low.push(`повнота < ${minimum.recall}`);
+    if (low.length) failures.push(`${sensitivity} ${lang}: ${low.join(', ')}`);
+    return low.length ? '  ✗' : '';
+}
+
+console.log('Рівень   Поріг  Мова  Точність  Повнота');
+Object.keys(QUESTION_SENSITIVITY_THRESHOLDS).forEach(sensitivity => {
+    detector.setSensitivity(sensitivity);
+    const threshold = QUESTION_SENSITIVITY_THRESHOLDS[sensitivity];
+    const total = totals[sensitivity] = { truePositives: 0, predicted: 0, questions: 0 };
+
+    languages.forEach(lang => {
+        const result = evaluate(detector, lang);
+        const questions = corpus[lang].questions.length;
+        total.truePositives += questions - result.missed.length;
+        total.predicted += questions - result.missed.length + result.falsePositives.length;
+        total.questions += questions;
+
+        const mark = checkMinimums(sensitivity, lang, result.precision, result.recall);
+        console.log(`${sensitivity.padEnd(8)} ${threshold.toFixed(2)}   ${lang.padEnd(4)}  ${formatRatio(result.precision)}     ${formatRatio(result.recall)}${mark}`);
+        if (verbose) {
+            result.missed.forEach(text => console.log(`    пропущено: ${text}`));
+            result.falsePositives.forEach(text => console.log(`    хибне:     ${text}`));
+        }
+    });
+
+    const precision = total.predicted ? total.truePositives / total.predicted : null;
+    const recall = total.questions ? total.truePositives / total.questions : null;
+    const mark = checkMinimums(sensitivity, 'усі', precision, recall);
+    console.log(`${sensitivity.padEnd(8)} ${threshold.toFixed(2)}   усі   ${formatRatio(precision)}     ${formatRatio(recall)}${mark}\n`);
+});
+
+if (failures.length) {
+    console.log(`Нижче мінімуму:\n${failures.map(failure => `    ${failure}`).join('\n')}`);
+}
+process.exitCode = failures.length ? 1 : 0;
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Перевірка детекторів PrivacyFilter на корпусі tools/fixtures/redaction.json:
+// значення з matches мають приховуватися всередині речення, речення з ignores — лишатися без змін.
+// Розділ denyList перевіряє список слів (terms) без детекторів.
+// Запуск: node tools/check-redaction.js [--detector phone]
+// Код виходу 1, якщо є хоч одна помилка
+
+const path = require('path');
+const { loadScript } = require('./load-script');
+
+const corpus = require(path.join(__dirname, 'fixtures', 'redaction.json'));
+const { PrivacyFilter, REDACTION_DETECTORS } = loadScript(['PrivacyFilter', 'REDACTION_DETECTORS']);
+
+const args = process.argv.slice(2);
+const detectorIndex = args.indexOf('--detector');
+const detectorIds = detectorIndex >= 0 ? [args[detectorIndex + 1]] : Object.keys(corpus);
+
+const DENY_LIST = 'denyList';
+
+// Лише один детектор, щоб інші не приховали значення першими
+function createFilter(id, samples) {
+    const filter = new PrivacyFilter({ storageKey: `check-${id}` });
+    Object.keys(REDACTION_DETECTORS).forEach(detector => { filter.settings.detectors[detector] = detector === id; });
+    filter.settings.denyList = id === DENY_LIST ? samples.terms : [];
+    return filter;
+}
+
+// Новий детектор без зразків у корпусі теж вважається помилкою
+const uncovered = detectorIndex >= 0 ? [] : Object.keys(REDACTION_DETECTORS).filter(id => !corpus[id]);
+uncovered.forEach(id => console.log(`${id}: немає зразків у корпусі`));
+
+let failures = uncovered.length;
+detectorIds.forEach(id => {
+    const samples = corpus[id];
+    if (!samples || (!REDACTION_DETECTORS[id] && id !== DENY_LIST)) throw new Error(`Невідомий детектор ${id}`);
+    
+    const filter = createFilter(id, samples);
+    const tag = id === DENY_LIST ? 'TERM' : REDACTION_DETECTORS[id].tag;
+    const missed = samples.matches.filter(value => {
+        const redacted = filter.redact(`Значення ${value} у реченні`, filter.createContext('check'));
+        return redacted !== `Значення [${tag}_1] у реченні`;
+    });
+    const falsePositives = samples.ignores.filter(text => filter.redact(text, filter.createContext('check')) !== text);
+    
+    console.log(`${id}: приховано ${samples.matches.length - missed.length}/${samples.matches.length}, ` +
+        `хибних ${falsePositives.length}/${samples.ignores.length}`);
+    missed.forEach(value => console.log(`    пропущено: ${value}`));
+    falsePositives.forEach(text => console.log(`    хибне:     ${text}`));
+    failures += missed.length + falsePositives.length;
+});
+
+process.exitCode = failures ? 1 : 0;
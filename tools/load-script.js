@@ -0,0 +1,53 @@
+// Завантаження script.js у Node без браузера: мінімальні заглушки DOM і localStorage,
+// щоб перевіряти класи (QuestionDetector, TranslationService тощо) окремо від інтерфейсу.
+// Ініціалізація інтерфейсу не запускається: DOMContentLoaded у заглушці не настає
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'script.js');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// names — імена глобальних класів і констант script.js, які треба повернути
+function loadScript(names, globals = {}) {
+    const context = Object.assign({
+        console: console,
+        URL: URL,
+        AbortController: AbortController,
+        DOMException: DOMException,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: () => 0,
+        clearInterval: () => {},
+        fetch: typeof fetch === 'function' ? fetch : undefined,
+        localStorage: createStorage(),
+        navigator: {},
+        document: {
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener: () => {},
+            body: { classList: { toggle: () => {}, add: () => {}, remove: () => {} } }
+        }
+    }, globals);
+    context.window = context;
+    vm.createContext(context);
+
+    // Класи й const не стають властивостями глобального об'єкта, тож повертаємо їх останнім виразом
+    const source = fs.readFileSync(SCRIPT_PATH, 'utf8');
+    return vm.runInContext(`${source}\n;({ ${names.join(', ')} })`, context, { filename: SCRIPT_PATH });
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// Локальний mock-сервер для перевірки власних сервісів без справжніх API.
+// Запуск: node tools/mock-server.js [порт]  (за замовчуванням 5000)
+//
+// POST /translate — відповідь у форматі LibreTranslate: {"translatedText": "[uk] текст"}
+// POST /v1/chat/completions — OpenAI-сумісна відповідь; при "stream": true — SSE по словах, потім data: [DONE]
+//
+// Змінні середовища:
+//   MOCK_API_KEY — якщо задано, запит без цього ключа отримує 403/401 (api_key у тілі або Authorization: Bearer)
+//   MOCK_DELAY — затримка між фрагментами SSE у мс (за замовчуванням 80)
+// Параметр ?status=429 (або інший код) у URL сервісу повертає помилку, щоб перевірити перемикання сервісів
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 5000;
+const apiKey = process.env.MOCK_API_KEY || '';
+const streamDelay = Number(process.env.MOCK_DELAY) || 80;
+
+// Браузер звертається з іншого origin (file:// або localhost), тож потрібні CORS-заголовки
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function sendJson(response, status, data, headers = {}) {
+    response.writeHead(status, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, CORS_HEADERS, headers));
+    response.end(JSON.stringify(data));
+}
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Некоректний JSON у тілі запиту'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function handleTranslate(body, response) {
+    if (apiKey && body.api_key !== apiKey) {
+        sendJson(response, 403, { error: 'Invalid API key' });
+        return;
+    }
+    if (typeof body.q !== 'string' || !body.target) {
+        sendJson(response, 400, { error: 'Поля q і target обов\'язкові' });
+        return;
+    }
+    sendJson(response, 200, { translatedText: `[${body.target}] ${body.q}` });
+}
+
+// Відповідь повторює останнє запитання і розмір контексту, щоб було видно, що історія передається
+function buildAnswer(messages) {
+    const questions = messages.filter(message => message.role === 'user');
+    const last = questions.length ? questions[questions.length - 1].content : '';
+    const system = messages.some(message => message.role === 'system');
+    return `**Mock-відповідь** на: «${last.slice(0, 200)}»\n\n` +
+        `- повідомлень у контексті: ${messages.length}\n` +
+        `- системний промпт: ${system ? 'так' : 'ні'}\n\n` +
+        '```js\nconsole.log(\'pong\');\n```';
+}
+
+function handleChatCompletions(body, response, request) {
+    const authorization = request.headers.authorization || '';
+    if (apiKey && authorization !== `Bearer ${apiKey}`) {
+        sendJson(response, 401, { error: { message: 'Invalid API key' } });
+        return;
+    }
+    if (!Array.isArray(body.messages) || !body.messages.length) {
+        sendJson(response, 400, { error: { message: 'messages обов\'язкове' } });
+        return;
+    }
+
+    const answer = buildAnswer(body.messages);
+    const model = body.model || 'mock-model';
+    if (!body.stream) {
+        sendJson(response, 200, {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            model: model,
+            choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }]
+        });
+        return;
+    }
+
+    response.writeHead(200, Object.assign({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    }, CORS_HEADERS));
+
+    // Слова з пробілами, щоб клієнт збирав відповідь із фрагментів; max_tokens обмежує кількість фрагментів
+    const pieces = answer.match(/\S+\s*/g).slice(0, body.max_tokens || undefined);
+    let index = 0;
+    const timer = setInterval(() => {
+        if (index < pieces.length) {
+            const chunk = { id: 'chatcmpl-mock', object: 'chat.completion.chunk', model: model, choices: [{ index: 0, delta: { content: pieces[index++] } }] };
+            response.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            return;
+        }
+        clearInterval(timer);
+        response.write('data: [DONE]\n\n');
+        response.end();
+    }, streamDelay);
+    // Кнопка «Зупинити» обриває з'єднання
+    response.on('close', () => clearInterval(timer));
+}
+
+const ROUTES = {
+    '/translate': handleTranslate,
+    '/v1/chat/completions': handleChatCompletions
+};
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    console.log(`${new Date().toISOString()} ${request.method} ${url.pathname}${url.search}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    const route = ROUTES[url.pathname];
+    if (!route || request.method !== 'POST') {
+        sendJson(response, 404, { error: `Невідомий маршрут: ${request.method} ${url.pathname}` });
+        return;
+    }
+
+    const status = Number(url.searchParams.get('status'));
+    if (status >= 400) {
+        sendJson(response, status, { error: `Mock error ${status}` }, status === 429 ? { 'Retry-After': '5' } : {});
+        return;
+    }
+
+    try {
+        await route(await readJson(request), response, request);
+    } catch (error) {
+        sendJson(response, 400, { error: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock-сервер: http://localhost:${port} (${Object.keys(ROUTES).join(', ')})`);
+});